@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * aws-icons – single entry point for the icon pipeline.
+ *
+ *   aws-icons update [--dry-run] [--force]
+ *                                    run every enabled step in a staging folder,
+ *                                    then swap the results into place
+ *   aws-icons rollback               restore the build the last update replaced
+ *   aws-icons serve [options…]       host the helper on localhost with live rebuild
+ *                                    and a JSON icon API (scripts/serve.js)
+ *   aws-icons verify                 check aws-icons/ against the integrity record;
+ *                                    exits 1 on icons changed outside the pipeline
+ *   aws-icons check-usage [options…] scan a project's docs and diagrams for altered
+ *                                    icons and missing attribution (scripts/check-usage.js)
+ *   aws-icons <step> [options…]      run one step; options go to its script
+ *   aws-icons init                   write aws-icons.config.json with the defaults
+ *
+ * Steps: download, restructure, rename, optimise (alias: titles), ids,
+ *        validate, integrity (alias: verify), mono (opt-in), raster (opt-in),
+ *        sprites, components, drawio, iconify, excalidraw, manifest, changelog, helper
+ *
+ * Global option:
+ *   --config <file>   use this config instead of ./aws-icons.config.{mjs,json}
+ */
+
+import fs   from "node:fs/promises";
+import fsc  from "node:fs";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { argv, env, execPath, exit } from "node:process";
+import { colour } from "../scripts/lib/common.js";
+import { CONFIG_FILES, DEFAULTS, STEPS, loadConfig } from "../scripts/lib/config.js";
+import { commitStaging, createStaging, previewStaging, rollback } from "../scripts/lib/staging.js";
+
+const SCRIPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "scripts");
+
+const SCRIPTS = {
+  download:    "download.js",
+  restructure: "restructure.js",
+  rename:      "rename.js",
+  optimise:    "svg-optimise.js",
+  ids:         "svg-ids.js",
+  validate:    "validate.js",
+  integrity:   "integrity.js",
+  mono:        "mono.js",
+  raster:      "raster.js",
+  sprites:     "sprite.js",
+  components:  "components.js",
+  drawio:      "drawio.js",
+  iconify:     "iconify.js",
+  excalidraw:  "excalidraw.js",
+  manifest:    "manifest.js",
+  changelog:   "changelog.js",
+  helper:      "generate-helper-pages.js",
+};
+
+/* commands that run a script but are not pipeline steps */
+const TOOLS = {
+  serve:         "serve.js",
+  "check-usage": "check-usage.js",
+};
+
+/* shorthand commands that expand to a step plus fixed options */
+const ALIASES = {
+  titles: ["optimise", "--only", "title"],
+  verify: ["integrity", "--verify"],
+};
+
+function usage() {
+  console.log(`Usage: aws-icons [--config <file>] <command> [options…]
+
+Commands:
+  update          run the enabled steps (${STEPS.join(" → ")})
+                  in a staging folder and swap the results in when all pass
+                  --dry-run  run everything, report what would change, keep nothing
+                  --force    rebuild even if the AWS package is unchanged
+  rollback        restore the outputs the last update replaced
+  serve           host the helper on localhost, rebuild it on changes, and serve /api/icons
+  check-usage     scan docs and diagrams for recoloured or altered icons and missing attribution
+  init            write ${CONFIG_FILES[1]} with the default settings
+  ${Object.keys(SCRIPTS).join(", ")}
+  ${Object.keys(ALIASES).join(", ")}  (shorthand for ${Object.values(ALIASES).map((a) => a.join(" ")).join(", ")})
+
+Options after a step name are passed to that step's script.`);
+}
+
+/* ── CLI ── */
+function parseArgs() {
+  const args = argv.slice(2);
+  let config = null;
+  while (args[0] === "--config") {
+    args.shift();
+    config = args.shift();
+    if (!config) { console.error("--config needs a file"); exit(1); }
+  }
+  if (config) env.AWS_ICONS_CONFIG = path.resolve(config);
+  return { command: args[0], rest: args.slice(1) };
+}
+
+/* run one step's script in a child process; returns its exit code */
+function runStep(step, args) {
+  const script = path.join(SCRIPTS_DIR, SCRIPTS[step] ?? TOOLS[step]);
+  console.log(colour("cyan", `\n▶ ${step}${args.length ? ` ${args.join(" ")}` : ""}`));
+
+  const res = spawnSync(execPath, [script, ...args], { stdio: "inherit", env });
+  if (res.error) throw res.error;
+  if (res.status !== 0) console.error(colour("red", `Step "${step}" failed (exit ${res.status ?? res.signal}).`));
+  return res.status ?? 1;
+}
+
+async function update(rest) {
+  const opts = { dryRun: false, force: false };
+  for (const a of rest) {
+    switch (a) {
+      case "--dry-run": opts.dryRun = true; break;
+      case "--force":   opts.force  = true; break;
+      default: console.error(`Unknown argument: ${a}`); exit(1);
+    }
+  }
+
+  const config  = await loadConfig();
+  const staging = await createStaging(config, opts);
+  env.AWS_ICONS_CONFIG = staging.configFile;
+
+  console.log(colour("cyan", `Config  : ${config.file ?? "(defaults)"}`));
+  console.log(colour("cyan", `Steps   : ${config.steps.join(" → ")}`));
+  console.log(colour("cyan", `Staging : ${staging.root}`));
+  console.log(colour("cyan", `Mode    : ${opts.dryRun ? "DRY-RUN (nothing is swapped in)" : "LIVE"}`));
+
+  for (const step of config.steps) {
+    /* download.js skips extraction when the checksum matches: nothing to rebuild */
+    if (step === "restructure" && config.steps.includes("download") && !fsc.existsSync(staging.staged.raw)) {
+      await fs.rm(staging.root, { recursive: true, force: true });
+      console.log(colour("green", "\nAWS package unchanged; live build left as is (use --force to rebuild)."));
+      return;
+    }
+    /* the helper reads the staged icons but must link to the live folder name */
+    const code = runStep(step, step === "helper" ? ["--icons-root", path.basename(config.paths.icons)] : []);
+    if (code !== 0) {
+      console.error(colour("red", `\nUpdate aborted; the live build is untouched. Staged files kept in ${staging.root}`));
+      exit(code);
+    }
+  }
+
+  if (opts.dryRun) {
+    const report = await previewStaging(staging);
+    console.log(colour("cyan", "\nA live run would change:"));
+    for (const [key, r] of Object.entries(report))
+      console.log(`  ${key.padEnd(10)} ${colour("green", `+${r.added}`)} ${colour("red", `-${r.removed}`)} ` +
+                  `${colour("yellow", `~${r.changed}`)}  ${path.relative(".", r.path) || r.path}`);
+    await fs.rm(staging.root, { recursive: true, force: true });
+    console.log(colour("green", "\nDry run complete; nothing was changed."));
+    return;
+  }
+
+  const swapped = await commitStaging(config, staging);
+  console.log(colour("green", `\nIcon library update complete (swapped in: ${swapped.join(", ") || "nothing"}).`));
+  console.log(`Previous build kept in ${config.paths.previous}; run "aws-icons rollback" to restore it.`);
+}
+
+async function init() {
+  const fp = path.resolve(CONFIG_FILES[1]);
+  if (fsc.existsSync(fp)) { console.error(`Config already exists: ${fp}`); exit(1); }
+  await fs.writeFile(fp, `${JSON.stringify(DEFAULTS, null, 2)}\n`, "utf8");
+  console.log(colour("green", `Wrote ${fp}`));
+}
+
+/* ── main ── */
+(async () => {
+  try {
+    const { command, rest } = parseArgs();
+
+    if (!command || command === "help" || command === "--help" || command === "-h") { usage(); return; }
+    if (command === "init") { await init(); return; }
+
+    if (command === "update") { await update(rest); return; }
+
+    if (command === "rollback") {
+      if (rest.length) { console.error(`Unknown argument: ${rest[0]}`); exit(1); }
+      const restored = await rollback(await loadConfig());
+      console.log(colour("green", `Restored previous build: ${restored.join(", ")}`));
+      return;
+    }
+
+    if (command in ALIASES) {
+      const [step, ...fixed] = ALIASES[command];
+      exit(runStep(step, [...fixed, ...rest]));
+    }
+
+    if (!(command in SCRIPTS) && !(command in TOOLS)) {
+      console.error(`Unknown command: ${command}\n`);
+      usage();
+      exit(1);
+    }
+    exit(runStep(command, rest));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
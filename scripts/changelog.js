@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * changelog.js
+ *
+ * Compares ./aws-icons against a snapshot of the previous build and writes a
+ * release changelog under ./aws-icons-changelog:
+ *   • CHANGELOG.md    added / removed / renamed / modified icons per category
+ *   • changelog.json  the same data for tooling
+ *   • review.html     old-vs-new side by side for modified icons (--html, or
+ *                     "changelog": { "html": true } for every update)
+ *
+ * "Renamed" means identical artwork under a new path; "modified" means the
+ * artwork changed. Both ignore <title> / <desc> text, whitespace, and ids
+ * (svg-ids.js derives them from the path, so a moved icon gets new ones).
+ * The snapshot (./.aws-icons-snapshot) is refreshed after every live run;
+ * the first run only records it.
+ *
+ * Options:
+ *   -s | --source   <dir>   icon root         (default: ./aws-icons)
+ *   -d | --dest     <dir>   output dir        (default: ./aws-icons-changelog)
+ *        --snapshot <dir>   previous build    (default: ./.aws-icons-snapshot)
+ *        --html             also write review.html
+ *        --dry-run          preview only, no writes
+ */
+
+import fs     from "node:fs/promises";
+import path   from "node:path";
+import crypto from "node:crypto";
+import { Buffer } from "node:buffer";
+import { argv, exit } from "node:process";
+import { colour, ensure, isDir, posix, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function cliCfg() {
+  const cfg = {
+    source:   config.paths.icons,
+    dest:     config.paths.changelog,
+    snapshot: config.paths.snapshot,
+    html:     config.changelog.html,
+    dryRun:   false,
+  };
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-s":
+      case "--source":   cfg.source   = argv[++i]; break;
+      case "-d":
+      case "--dest":     cfg.dest     = argv[++i]; break;
+      case "--snapshot": cfg.snapshot = argv[++i]; break;
+      case "--html":     cfg.html     = true;      break;
+      case "--dry-run":  cfg.dryRun   = true;      break;
+      default: console.error(`Unknown argument: ${argv[i]}`); exit(1);
+    }
+  }
+  cfg.source   = path.resolve(cfg.source);
+  cfg.dest     = path.resolve(cfg.dest);
+  cfg.snapshot = path.resolve(cfg.snapshot);
+  return cfg;
+}
+const cfg = cliCfg();
+
+/* ── helpers ── */
+const esc = (s) =>
+  s.replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[ch]));
+
+/* hash of the artwork only: <title>, <desc>, ids, id references, aria-* and whitespace do not count */
+const visualHash = (svg) =>
+  crypto.createHash("sha256")
+    .update(svg
+      .replace(/<(title|desc)\b[^>]*>[\s\S]*?<\/\1>/gi, "")
+      .replace(/\s(?:id|aria-[\w-]+)=(["'])[^"']*\1/g, "")
+      .replace(/url\(\s*['"]?#[^'")]*['"]?\s*\)/g, "url(#)")
+      .replace(/(\s(?:xlink:)?href=)(["'])#[^"']*\2/g, "$1$2#$2")
+      .replace(/\s+/g, " ")
+      .trim())
+    .digest("hex");
+
+const categoryOf = (rel) => (rel.includes("/") ? rel.split("/")[0] : ".");
+
+async function readPackage(root) {
+  try   { return (await fs.readFile(path.join(root, "checksum.txt"), "utf8")).trim(); }
+  catch { return null; }
+}
+
+/* path -> visual hash for every SVG below root */
+async function indexTree(root) {
+  const icons = {};
+  for await (const fp of walk(root))
+    icons[posix(path.relative(root, fp))] = visualHash(await fs.readFile(fp, "utf8"));
+  return Object.fromEntries(Object.entries(icons).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/* the previous build, its hashes recomputed from the saved files so they follow the current rules */
+async function loadSnapshot() {
+  let index;
+  try   { index = JSON.parse(await fs.readFile(path.join(cfg.snapshot, "index.json"), "utf8")); }
+  catch { return null; }
+  const files = path.join(cfg.snapshot, "files");
+  if (isDir(files)) index.icons = await indexTree(files);
+  return index;
+}
+
+async function saveSnapshot(index) {
+  const files = path.join(cfg.snapshot, "files");
+  await fs.rm(cfg.snapshot, { recursive: true, force: true });
+  await ensure(files);
+  for (const rel of Object.keys(index.icons)) {
+    const out = path.join(files, rel);
+    await ensure(path.dirname(out));
+    await fs.copyFile(path.join(cfg.source, rel), out);
+  }
+  await fs.writeFile(path.join(cfg.snapshot, "index.json"), `${JSON.stringify(index, null, 2)}\n`, "utf8");
+}
+
+/* ── diff ── */
+function diff(prev, next) {
+  const removed  = Object.keys(prev).filter((p) => !(p in next));
+  const added    = Object.keys(next).filter((p) => !(p in prev));
+  const modified = Object.keys(next).filter((p) => p in prev && prev[p] !== next[p]);
+  const renamed  = [];
+
+  /* pair removed / added icons that share artwork */
+  const gone = new Map();
+  for (const p of removed) {
+    if (!gone.has(prev[p])) gone.set(prev[p], []);
+    gone.get(prev[p]).push(p);
+  }
+  for (const p of [...added]) {
+    const from = gone.get(next[p])?.shift();
+    if (!from) continue;
+    renamed.push({ from, to: p });
+    added.splice(added.indexOf(p), 1);
+    removed.splice(removed.indexOf(from), 1);
+  }
+
+  const byCat = {};
+  const slot  = (cat) => (byCat[cat] ??= { added: [], removed: [], renamed: [], modified: [] });
+  added.forEach((p)    => slot(categoryOf(p)).added.push(p));
+  removed.forEach((p)  => slot(categoryOf(p)).removed.push(p));
+  modified.forEach((p) => slot(categoryOf(p)).modified.push(p));
+  renamed.forEach((r)  => slot(categoryOf(r.to)).renamed.push(r));
+
+  const categories = Object.fromEntries(Object.keys(byCat).sort().map((c) => [c, byCat[c]]));
+  return {
+    totals: { added: added.length, removed: removed.length, renamed: renamed.length, modified: modified.length },
+    categories,
+  };
+}
+
+/* ── renderers ── */
+function markdown(log) {
+  const { totals } = log;
+  let md = "# AWS icon changes\n\n";
+  md += `Package: \`${log.from ?? "unknown"}\` → \`${log.to ?? "unknown"}\`\n\n`;
+  md += `**${totals.added}** added, **${totals.removed}** removed, **${totals.renamed}** renamed, **${totals.modified}** modified.\n`;
+
+  for (const [cat, c] of Object.entries(log.categories)) {
+    md += `\n## ${cat}\n`;
+    if (c.added.length)    md += `\n### Added\n\n${c.added.map((p) => `- \`${p}\``).join("\n")}\n`;
+    if (c.removed.length)  md += `\n### Removed\n\n${c.removed.map((p) => `- \`${p}\``).join("\n")}\n`;
+    if (c.renamed.length)  md += `\n### Renamed\n\n${c.renamed.map((r) => `- \`${r.from}\` → \`${r.to}\``).join("\n")}\n`;
+    if (c.modified.length) md += `\n### Modified\n\n${c.modified.map((p) => `- \`${p}\``).join("\n")}\n`;
+  }
+  return md;
+}
+
+/* icons go in as <img> data URIs so old and new ids can't collide */
+const img = (svg) =>
+  `<img src="data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}" width="64" height="64" alt="">`;
+
+async function reviewPage(log) {
+  let rows = "";
+  for (const [cat, c] of Object.entries(log.categories)) {
+    for (const rel of c.modified) {
+      const before = await fs.readFile(path.join(cfg.snapshot, "files", rel), "utf8");
+      const after  = await fs.readFile(path.join(cfg.source, rel), "utf8");
+      rows += `<tr><td>${esc(cat)}</td><td><code>${esc(rel)}</code></td><td>${img(before)}</td><td>${img(after)}</td></tr>\n`;
+    }
+  }
+  if (!rows) rows = '<tr><td colspan="4">No modified icons.</td></tr>';
+
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">
+<title>AWS Icon Changes – Review</title>
+<style>
+body{font-family:system-ui,Arial,sans-serif;margin:0;padding:1rem;}
+h1{margin-top:0;}
+table{border-collapse:collapse;}
+th,td{border:1px solid #d0d0d0;padding:.5rem;text-align:left;vertical-align:middle;}
+th{background:#f5f5f5;}
+</style></head><body>
+<h1>Modified icons</h1>
+<p>Package <code>${esc(log.from ?? "unknown")}</code> → <code>${esc(log.to ?? "unknown")}</code>:
+${log.totals.added} added, ${log.totals.removed} removed, ${log.totals.renamed} renamed, ${log.totals.modified} modified.</p>
+<table><thead><tr><th>Category</th><th>Icon</th><th>Before</th><th>After</th></tr></thead>
+<tbody>${rows}</tbody></table></body></html>`;
+}
+
+/* ── main ── */
+(async () => {
+  try {
+    if (!isDir(cfg.source)) { console.error(colour("red", `No source: ${cfg.source}`)); exit(1); }
+
+    const current  = { package: await readPackage(cfg.source), icons: await indexTree(cfg.source) };
+    const previous = await loadSnapshot();
+
+    if (!previous) {
+      console.log(colour("yellow", `No snapshot at ${cfg.snapshot}; recording this build as the baseline.`));
+      if (!cfg.dryRun) await saveSnapshot(current);
+      return;
+    }
+
+    const log = { from: previous.package, to: current.package, ...diff(previous.icons, current.icons) };
+    const { totals } = log;
+
+    if (!cfg.dryRun) {
+      await ensure(cfg.dest);
+      await fs.writeFile(path.join(cfg.dest, "CHANGELOG.md"), markdown(log), "utf8");
+      await fs.writeFile(path.join(cfg.dest, "changelog.json"), `${JSON.stringify(log, null, 2)}\n`, "utf8");
+      if (cfg.html) await fs.writeFile(path.join(cfg.dest, "review.html"), await reviewPage(log), "utf8");
+      await saveSnapshot(current);
+    }
+
+    console.log(colour("cyan", `Changes: ${previous.package ?? "unknown"} → ${current.package ?? "unknown"}`));
+    console.log(`${colour("green", `${totals.added} added`)}, ${colour("red", `${totals.removed} removed`)}, ` +
+                `${colour("cyan", `${totals.renamed} renamed`)}, ${colour("yellow", `${totals.modified} modified`)}`);
+    console.log(colour("green", `Changelog ready${cfg.dryRun ? " [DRY-RUN]" : ""}.`));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
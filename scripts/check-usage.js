@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * check-usage.js
+ *
+ * Scans the HTML, Markdown, SVG and draw.io files of a project that uses the
+ * icons for AWS brand-guideline problems and writes a machine-readable report
+ * (./aws-icons-usage.json). Icons are found wherever they end up:
+ *   • inline <svg> markup, and SVG files of their own
+ *   • data:image/svg+xml URIs (plain, percent-encoded or base64; the helper's
+ *     CSS data URIs and draw.io's embedded images included)
+ *   • references: src / href / xlink:href / data attributes, CSS url(),
+ *     Markdown images and draw.io image styles, sprite "#symbol" ids too
+ *
+ * Each copy is compared with the canonical icons in ./aws-icons, ignoring
+ * titles, descriptions, ids and the root's width / height:
+ *   recoloured     same shapes as a library icon, different colours
+ *   altered        named like a library icon (path or <title>) but the shapes differ
+ *   unknown        an AWS icon (by its ids) that isn't in the library (warning)
+ *   missing        a reference into the library to an icon it doesn't have (warning)
+ *   attribution    a file uses icons but has no attribution line
+ *
+ * The attribution line is any text matching "usage": { "attribution" }
+ * (a case-insensitive regular expression; null turns the check off).
+ *
+ * Exits 1 when any error is found (warnings too with --strict), 2 on a crash,
+ * so CI can gate on it.
+ *
+ * Options:
+ *   -t | --target  <dir>    folder to scan             (default: .)
+ *   -l | --library <dir>    canonical icon set         (default: ./aws-icons)
+ *   -o | --out     <file>   report destination         (default: ./aws-icons-usage.json)
+ *        --attribution <re> attribution pattern        (default: Amazon Web Services|AWS Architecture Icons)
+ *        --no-attribution   skip the attribution check
+ *        --strict           fail on warnings too       (or "strict": true)
+ */
+
+import fs     from "node:fs/promises";
+import fsc    from "node:fs";
+import path   from "node:path";
+import zlib   from "node:zlib";
+import crypto from "node:crypto";
+import * as cheerio from "cheerio";
+import { Buffer } from "node:buffer";
+import { argv, exit } from "node:process";
+import { colour, posix, requireDir, walkSvg } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function parseArgs() {
+  const opts = {
+    target:      ".",
+    library:     config.paths.icons,
+    out:         config.paths.usage,
+    attribution: config.usage.attribution,
+    strict:      config.strict,
+  };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-t":
+      case "--target":
+        opts.target = argv[++i];
+        break;
+      case "-l":
+      case "--library":
+        opts.library = argv[++i];
+        break;
+      case "-o":
+      case "--out":
+        opts.out = argv[++i];
+        break;
+      case "--attribution":
+        opts.attribution = argv[++i];
+        break;
+      case "--no-attribution":
+        opts.attribution = null;
+        break;
+      case "--strict":
+        opts.strict = true;
+        break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        exit(1);
+    }
+  }
+
+  opts.target  = requireDir(opts.target, "Target directory");
+  opts.library = requireDir(opts.library, "Icon library");
+  opts.out     = path.resolve(opts.out);
+  try {
+    opts.attribution = opts.attribution ? new RegExp(opts.attribution, "i") : null;
+  } catch (err) {
+    console.error(`Invalid attribution pattern: ${err.message}`);
+    exit(1);
+  }
+  return opts;
+}
+
+const cfg = parseArgs();
+
+/* ── fingerprints ── */
+const sha1 = (s) => crypto.createHash("sha1").update(s).digest("hex");
+
+/* attributes that carry colour; everything else on a drawing element counts as shape */
+const PAINT   = new Set(["fill", "stroke", "stop-color", "color", "flood-color", "lighting-color"]);
+const IGNORED = /^(?:id|class|style|role|version|aria-.*|data-.*|xmlns(?::.*)?|xml:space)$/;
+const LABELS  = new Set(["title", "desc", "metadata"]);
+
+/* ids differ between copies (svg-ids.js, sprites), so references to them are compared without the id */
+const unurl = (v) => v.replace(/url\(\s*['"]?#[^)'"]*['"]?\s*\)/g, "url(#)");
+const unref = (v) => unurl(v).replace(/^#.*/, "#");
+
+function paintValue(v) {
+  const c = unurl(v.trim().toLowerCase());
+  return /^#[\da-f]{3}$/.test(c) ? `#${[...c.slice(1)].map((x) => x + x).join("")}` : c;
+}
+
+/* the colours an element sets, as "property:value" in document order */
+function paintOf($, el) {
+  const out = [];
+  for (const [k, v] of Object.entries(el.attribs)) if (PAINT.has(k)) out.push(`${k}:${paintValue(v)}`);
+  for (const decl of (el.attribs.style ?? "").split(";")) {
+    const [k, v] = decl.split(":").map((s) => s?.trim());
+    if (PAINT.has(k?.toLowerCase()) && v) out.push(`${k.toLowerCase()}:${paintValue(v)}`);
+  }
+  if (el.name === "style")
+    for (const m of $(el).text().matchAll(/([\w-]+)\s*:\s*([^;}]+)/g))
+      if (PAINT.has(m[1].toLowerCase())) out.push(`${m[1].toLowerCase()}:${paintValue(m[2])}`);
+  return out;
+}
+
+/* shape and paint hashes of an <svg> / <symbol>, or null when the markup has neither */
+function fingerprint(markup) {
+  let $;
+  try { $ = cheerio.load(markup, { xml: true }); } catch { return null; }
+  const root = $.root().children("svg, symbol").first();
+  if (!root.length) return null;
+
+  const shape = [];
+  const paint = [];
+  const visit = (el, isRoot) => {
+    if (LABELS.has(el.name)) return;
+    const attrs = Object.entries(el.attribs)
+      .filter(([k]) => (isRoot ? k === "viewBox" : !IGNORED.test(k) && !PAINT.has(k)))
+      .map(([k, v]) => `${k}=${unref(v.trim())}`)
+      .sort();
+    shape.push(`${isRoot ? "svg" : el.name}(${attrs.join(",")})`);
+    paint.push(...paintOf($, el));
+    for (const child of $(el).children().toArray()) visit(child, false);
+  };
+  visit(root[0], true);
+
+  return {
+    shape: sha1(shape.join(";")),
+    paint: sha1(paint.join(";")),
+    colours: paint,
+    title: root.children("title").first().text().trim(),
+  };
+}
+
+/* ── canonical library ── */
+const library = { exact: new Map(), shape: new Map(), title: new Map(), rels: [] };
+
+async function loadLibrary() {
+  for await (const fp of walkSvg(cfg.library)) {
+    const rel  = posix(path.relative(cfg.library, fp));
+    const fpr  = fingerprint(await fs.readFile(fp, "utf8"));
+    if (!fpr) continue;
+    const icon = { rel, colours: fpr.colours };
+    library.rels.push(rel);
+    if (!library.exact.has(fpr.shape + fpr.paint)) library.exact.set(fpr.shape + fpr.paint, icon);
+    if (!library.shape.has(fpr.shape)) library.shape.set(fpr.shape, icon);
+    if (fpr.title && !library.title.has(fpr.title)) library.title.set(fpr.title, icon);
+  }
+}
+
+/* the library icon a path points at ("…/Compute/Lambda.svg"), or null */
+function iconAt(p) {
+  const lower = posix(p).toLowerCase();
+  const rel   = library.rels.find((r) => lower === r.toLowerCase() || lower.endsWith(`/${r.toLowerCase()}`));
+  return rel ? { rel } : null;
+}
+
+/* a path into the library folder ("…/aws-icons/…") */
+const intoLibrary = (p) => posix(p).split("/").includes(path.basename(cfg.library));
+
+/* AWS asset-package group ids, kept by svg-optimise.js (scoped by svg-ids.js) */
+const AWS_ID = /\bid="[^"]*Icon-(?:Architecture|Resource|Service)[/-]/;
+const NESTED = /<(?:svg|symbol)\b/i;                 // a sheet or document holding icons, not one icon
+
+/* what a piece of SVG is: { status, icon, detail } for library (or AWS) icons, else null */
+function identify(markup, hint = null) {
+  const fpr = fingerprint(markup);
+  if (!fpr) return null;
+
+  const exact = library.exact.get(fpr.shape + fpr.paint);
+  if (exact) return { status: "ok", icon: exact.rel };
+
+  const same = library.shape.get(fpr.shape);
+  if (same) {
+    const changes = same.colours.length === fpr.colours.length
+      ? [...new Set(same.colours
+          .map((c, i) => [c.split(":")[1], fpr.colours[i].split(":")[1]])
+          .filter(([a, b]) => a !== b)
+          .map(([a, b]) => `${a} → ${b}`))].join(", ")
+      : "colours added or removed";
+    return { status: "recoloured", icon: same.rel, detail: changes };
+  }
+
+  const named = hint ?? library.title.get(fpr.title);
+  if (named) return { status: "altered", icon: named.rel };
+  if (AWS_ID.test(markup) && !NESTED.test(markup.slice(1))) return { status: "unknown", icon: null, detail: fpr.title || null };
+  return null;
+}
+
+/* ── finding icons in a file ── */
+const SCANNED = /\.(?:html?|md|markdown|mdx|svg|drawio|dio)$/i;
+
+const DATA_URI = /(["'])data:image\/svg\+xml([^,]*),([\s\S]*?)\1|data:image\/svg\+xml([^,\s]*),([^\s"'()<>;]+)/gi;
+
+const REFS = [
+  /\b(?:src|href|xlink:href|data)\s*=\s*["']([^"'<>]+?\.svg(?:[?#][^"'<>]*)?)["']/gi,   // HTML / SVG attributes
+  /url\(\s*["']?([^"')]+?\.svg(?:[?#][^"')]*)?)["']?\s*\)/gi,                         // CSS
+  /!\[[^\]]*\]\(\s*<?([^)\s>]+?\.svg(?:[?#][^)\s>]*)?)>?(?:\s+["'][^)]*["'])?\s*\)/gi,   // Markdown image
+  /^ {0,3}\[[^\]]+\]:\s*<?(\S+?\.svg(?:[?#][^\s>]*)?)>?/gim,                          // Markdown reference
+  /\bimage=([^;"&<>]+?\.svg(?:[?#][^;"&<>]*)?)(?=[;"&])/g,                              // draw.io image style
+];
+
+const DRAWN = /<(?:path|rect|circle|ellipse|line|polyline|polygon|text|image|use|foreignObject)\b/i;
+
+const lineAt = (text, index) => text.slice(0, index).split("\n").length;
+
+const decode = (s) => { try { return decodeURIComponent(s); } catch { return s; } };
+
+/* the SVG inside a data URI; draw.io writes base64 without the ";base64" flag */
+function dataSvg(params, payload) {
+  if (/;base64/i.test(params)) return Buffer.from(payload, "base64").toString("utf8");
+  const text = decode(payload);
+  if (!/<svg\b/i.test(text) && /^[A-Za-z0-9+/=\s]+$/.test(payload)) return Buffer.from(payload, "base64").toString("utf8");
+  return text;
+}
+
+/* top-level <svg> / <symbol> blocks, each with its nested ones */
+function svgBlocks(text) {
+  const roots = [];
+  const stack = [];
+  for (const m of text.matchAll(/<(\/?)(?:svg|symbol)\b(?:[^>"']|"[^"]*"|'[^']*')*?(\/?)>/gi)) {
+    if (m[2]) continue;
+    if (!m[1]) { stack.push({ start: m.index, end: null, children: [] }); continue; }
+    const block = stack.pop();
+    if (!block) continue;
+    block.end = m.index + m[0].length;
+    (stack.at(-1)?.children ?? roots).push(block);
+  }
+  return roots;
+}
+
+/* draw.io files usually hold each page deflated and base64-encoded; lines are lost when they do */
+function drawioText(raw) {
+  let packed = false;
+  const text = raw.replace(/(<diagram\b[^>]*>)\s*([A-Za-z0-9+/=]+)\s*(<\/diagram>)/g, (all, open, body, close) => {
+    try {
+      const xml = decode(zlib.inflateRawSync(Buffer.from(body, "base64")).toString("utf8"));
+      packed = true;
+      return `${open}${xml}${close}`;
+    } catch { return all; }
+  });
+  return { text, lines: !packed };
+}
+
+const analysed = new Map();                          // absolute path (#symbol) -> identify() result
+
+async function analyseFile(abs, symbol, hint) {
+  const key = symbol ? `${abs}#${symbol}` : abs;
+  if (!analysed.has(key)) {
+    const text = await fs.readFile(abs, "utf8");
+    let markup = text;
+    if (symbol) {
+      const $  = cheerio.load(text, { xml: true });
+      const el = $("[id]").filter((_, e) => e.attribs.id === symbol).first();
+      markup = el.length ? $.xml(el) : "";
+    }
+    analysed.set(key, identify(markup, hint));
+  }
+  return analysed.get(key);
+}
+
+/* a referenced icon: { analysis, own } where own means the file is scanned (and reported) itself */
+async function reference(url, from, scanned) {
+  const [, p, symbol] = url.match(/^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/);
+  if (/^(?:[a-z][\w+.-]*:)?\/\//i.test(p)) {
+    const remote = decode(new URL(p, "https://localhost").pathname);
+    const hint   = iconAt(remote);
+    if (hint) return { analysis: { status: "referenced", icon: hint.rel } };
+    return intoLibrary(remote) ? { analysis: { status: "missing", icon: null, detail: url } } : null;
+  }
+
+  const local = decode(p);
+  const abs   = local.startsWith("/") ? path.join(cfg.target, local) : path.resolve(path.dirname(from), local);
+  const hint  = iconAt(abs);
+  if (fsc.existsSync(abs) && fsc.statSync(abs).isFile()) {
+    const analysis = await analyseFile(abs, symbol, hint);
+    return analysis && { analysis, own: !symbol && scanned.has(abs) };
+  }
+  if (hint) return { analysis: { status: "referenced", icon: hint.rel } };
+  return intoLibrary(local) ? { analysis: { status: "missing", icon: null, detail: url } } : null;
+}
+
+/* ── checks ── */
+const ISSUES = {
+  recoloured: (a) => ["error", `recoloured copy of ${a.icon} (${a.detail})`],
+  altered:    (a) => ["error", `altered copy of ${a.icon}: the shapes differ`],
+  unknown:    (a) => ["warning", `AWS icon${a.detail ? ` "${a.detail}"` : ""} that is not in the library (another release?)`],
+  missing:    (a) => ["warning", `${a.detail} is not in the icon library`],
+};
+
+async function check(fp, scanned) {
+  const rel    = posix(path.relative(cfg.target, fp));
+  const raw    = await fs.readFile(fp, "utf8");
+  const isSvg  = /\.svg$/i.test(fp);
+  const { text, lines } = /\.(?:drawio|dio)$/i.test(fp) ? drawioText(raw) : { text: raw, lines: true };
+  const issues = [];
+  let uses = 0;
+
+  const note = (analysis, index, report = true) => {
+    uses += 1;
+    if (!report || !ISSUES[analysis.status]) return;
+    const [severity, message] = ISSUES[analysis.status](analysis);
+    issues.push({ check: analysis.status, severity, message, ...(lines && index !== null ? { line: lineAt(text, index) } : {}) });
+  };
+
+  /* found icons are blanked out (lines kept) so nothing is counted twice */
+  let rest = text;
+  const blank = (from, to) => { rest = rest.slice(0, from) + rest.slice(from, to).replace(/[^\n]/g, " ") + rest.slice(to); };
+
+  const visit = (block) => {
+    const analysis = identify(text.slice(block.start, block.end));
+    if (!analysis) { block.children.forEach(visit); return; }
+    note(analysis, block.start);
+    blank(block.start, block.end);
+  };
+  svgBlocks(text).forEach(visit);
+
+  for (const m of rest.matchAll(DATA_URI)) {
+    const analysis = identify(dataSvg(m[2] ?? m[4], m[3] ?? m[5]));
+    if (analysis) note(analysis, m.index);
+    blank(m.index, m.index + m[0].length);
+  }
+
+  for (const re of REFS)
+    for (const m of rest.matchAll(re)) {
+      const found = await reference(decode(m[1]).trim(), fp, scanned);
+      if (found) note(found.analysis, m.index, !found.own);
+    }
+
+  /* an SVG file with nothing drawn besides icons is an icon (or sprite sheet) itself; documents need the attribution line */
+  const asset = isSvg && !DRAWN.test(rest);
+  if (!asset && uses && cfg.attribution && !cfg.attribution.test(rest))
+    issues.push({ check: "attribution", severity: "error", message: `uses ${uses} AWS icon(s) but has no attribution line matching /${cfg.attribution.source}/` });
+
+  return { rel, uses, issues };
+}
+
+/* files to scan, leaving out dependencies, dot-folders and this project's own build outputs */
+async function* targets(dir, skip) {
+  const entries = (await fs.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+  for (const e of entries) {
+    const p = path.join(dir, e.name);
+    if (e.isDirectory()) {
+      if (!e.name.startsWith(".") && e.name !== "node_modules" && !skip.has(p)) yield* targets(p, skip);
+    } else if (e.isFile() && SCANNED.test(e.name)) yield p;
+  }
+}
+
+/* ── runner ── */
+(async () => {
+  try {
+    console.log(colour("cyan", `Target  : ${cfg.target}`));
+    console.log(colour("cyan", `Library : ${cfg.library}`));
+    console.log(colour("cyan", `Report  : ${cfg.out}`));
+    console.log("");
+
+    await loadLibrary();
+    if (!library.rels.length) { console.error(colour("red", `No icons in ${cfg.library}`)); exit(1); }
+
+    const skip  = new Set([...Object.values(config.paths), cfg.library]);
+    const files = [];
+    for await (const fp of targets(cfg.target, skip)) files.push(fp);
+    const scanned = new Set(files);
+
+    const results = [];
+    for (const fp of files) results.push(await check(fp, scanned));
+
+    const report = Object.fromEntries(results.filter((r) => r.issues.length).map((r) => [r.rel, r.issues]));
+    const all    = results.flatMap((r) => r.issues);
+    const count  = (sev) => all.filter((i) => i.severity === sev).length;
+    const totals = { errors: count("error"), warnings: count("warning") };
+    const uses   = results.reduce((n, r) => n + r.uses, 0);
+    const failed = totals.errors > 0 || (cfg.strict && totals.warnings > 0);
+
+    for (const [rel, issues] of Object.entries(report))
+      for (const i of issues) {
+        const tint = i.severity === "error" ? "red" : "yellow";
+        console.log(`${colour(tint, i.severity.padEnd(8))} ${rel}${i.line ? `:${i.line}` : ""}  [${i.check}] ${i.message}`);
+      }
+
+    await fs.writeFile(cfg.out, `${JSON.stringify({
+      target: cfg.target, library: cfg.library, scanned: results.length, uses, passed: !failed, ...totals, files: report,
+    }, null, 2)}\n`, "utf8");
+
+    const summary = `${results.length} files scanned, ${uses} icon use(s): ${totals.errors} error(s), ${totals.warnings} warning(s)`;
+    console.log(colour(failed ? "red" : "green", `\n${failed ? "Usage check failed" : "Usage check passed"} – ${summary}.`));
+    if (failed) exit(1);
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * components.js
+ *
+ * Turns every SVG in ./aws-icons into an ES module component under
+ * ./aws-icons-components, one file per icon so bundlers can tree-shake:
+ *   • react/<Name>.js   forwardRef component built with createElement (no JSX step)
+ *   • vue/<Name>.js     Vue 3 component built with h()
+ *   • <framework>/index.js + .d.ts declarations for every module
+ *   • package.json with "exports" for "./react", "./react/*", "./vue", "./vue/*"
+ *
+ * Each component takes size (default: the SVG's width), title (default: its
+ * <title>; pass null or "" for a decorative, aria-hidden icon), description
+ * (default: its <desc>) and className; any other prop / attribute goes to the
+ * root <svg>. With "a11y": { "decorative": true } icons default to decorative
+ * and only get a title when one is passed.
+ *
+ * Names are the PascalCase form of the cleaned filenames rename.js produces
+ * (Simple-Storage-Service_Bucket.svg → SimpleStorageServiceBucket). When two
+ * categories share a name, the later one gets the category in front.
+ *
+ * Options:
+ *   -s | --source    <dir>     icon root                    (default: ./aws-icons)
+ *   -d | --dest      <dir>     output dir                   (default: ./aws-icons-components)
+ *   -f | --framework <list>    react, vue or react,vue      (default: react)
+ *        --dry-run             preview only, no writes
+ */
+
+import fs   from "node:fs/promises";
+import path from "node:path";
+import * as cheerio from "cheerio";
+import { argv, exit } from "node:process";
+import { colour, ensure, isDir, pascalCase, posix, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+const FRAMEWORKS = ["react", "vue"];
+
+/* ── CLI ── */
+function cliCfg() {
+  const cfg = {
+    source:     config.paths.icons,
+    dest:       config.paths.components,
+    frameworks: config.components.frameworks,
+    dryRun:     false,
+  };
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-s":
+      case "--source":    cfg.source     = argv[++i]; break;
+      case "-d":
+      case "--dest":      cfg.dest       = argv[++i]; break;
+      case "-f":
+      case "--framework": cfg.frameworks = String(argv[++i]).split(","); break;
+      case "--dry-run":   cfg.dryRun     = true;      break;
+      default: console.error(`Unknown argument: ${argv[i]}`); exit(1);
+    }
+  }
+  cfg.frameworks = [...new Set([cfg.frameworks].flat().map((f) => String(f).trim().toLowerCase()))];
+  const bad = cfg.frameworks.filter((f) => !FRAMEWORKS.includes(f));
+  if (bad.length || !cfg.frameworks.length) {
+    console.error(`Unknown framework: ${bad.join(", ") || "(none)"} (known: ${FRAMEWORKS.join(", ")})`);
+    exit(1);
+  }
+  cfg.source = path.resolve(cfg.source);
+  cfg.dest   = path.resolve(cfg.dest);
+  return cfg;
+}
+const cfg = cliCfg();
+
+/* ── helpers ── */
+
+/* a valid, exportable identifier from a cleaned filename */
+function componentName(base) {
+  const name = pascalCase(base).replace(/[^A-Za-z0-9_$]/g, "");
+  return /^[A-Za-z_$]/.test(name) ? name : `Icon${name}`;
+}
+
+const camel = (name) => name.replace(/[:-]([a-z])/g, (_, c) => c.toUpperCase());
+
+/* SVG attribute -> React prop; style strings become objects */
+function reactProps(attribs) {
+  const out = {};
+  for (const [k, v] of Object.entries(attribs)) {
+    if (k === "class") out.className = v;
+    else if (k === "style")
+      out.style = Object.fromEntries(v.split(";").map((d) => d.trim()).filter(Boolean).map((d) => {
+        const i = d.indexOf(":");
+        return [camel(d.slice(0, i).trim()), d.slice(i + 1).trim()];
+      }));
+    else out[/^(aria|data)-/.test(k) ? k : camel(k)] = v;
+  }
+  return out;
+}
+
+const literal = (obj) => (Object.keys(obj).length ? JSON.stringify(obj) : "null");
+
+/* the <svg> root and its element tree; <title> / <desc> are left to the title and description props */
+function parse(data) {
+  const $    = cheerio.load(data, { xml: true });
+  const root = $("svg").get(0);
+  if (!root) return null;
+
+  const title       = $(root).children("title").first().text().trim() || null;
+  const description = $(root).children("desc").first().text().trim() || null;
+  const attribs = { ...root.attribs };
+  const size    = Number.parseFloat(attribs.width) || Number.parseFloat(attribs.viewBox?.split(/[\s,]+/)[2]) || 48;
+  for (const k of ["width", "height", "xmlns:xlink", "role", "aria-hidden", "aria-labelledby", "aria-describedby"]) delete attribs[k];
+  attribs.xmlns ??= "http://www.w3.org/2000/svg";
+
+  const children = root.children.filter((n) => !(n.type === "tag" && (n.name === "title" || n.name === "desc")));
+  return { title: config.a11y.decorative ? null : title, description, size, attribs, children };
+}
+
+/* createElement / h() calls for a list of child nodes */
+function calls(nodes, props, depth) {
+  const pad = "  ".repeat(depth);
+  const out = [];
+  for (const n of nodes) {
+    if (n.type === "text") {
+      if (n.data.trim()) out.push(`${pad}${JSON.stringify(n.data.trim())}`);
+      continue;
+    }
+    if (n.type !== "tag") continue;
+    const kids = calls(n.children, props, depth + 1);
+    out.push(kids.length
+      ? `${pad}h(${JSON.stringify(n.name)}, ${literal(props(n.attribs))},\n${kids.join(",\n")})`
+      : `${pad}h(${JSON.stringify(n.name)}, ${literal(props(n.attribs))})`);
+  }
+  return out;
+}
+
+const HEADER = "/* generated by scripts/components.js – do not edit */\n";
+
+function reactModule(name, icon) {
+  const kids = calls(icon.children, reactProps, 2);
+  return `${HEADER}import { createElement as h, forwardRef } from "react";
+
+const ATTRS = ${literal(reactProps(icon.attribs))};
+
+const ${name} = forwardRef(function ${name}({ size = ${icon.size}, title = ${JSON.stringify(icon.title)}, description = ${JSON.stringify(icon.description)}, className, ...props }, ref) {
+  return h("svg", {
+    ...ATTRS,
+    width: size,
+    height: size,
+    className,
+    role: title ? "img" : undefined,
+    "aria-hidden": title ? undefined : true,
+    ref,
+    ...props,
+  },
+    title ? h("title", null, title) : null,
+    title && description ? h("desc", null, description) : null${kids.length ? `,\n${kids.join(",\n")}` : ""});
+});
+
+export default ${name};
+`;
+}
+
+function vueModule(name, icon) {
+  const kids = calls(icon.children, (a) => ({ ...a }), 3);
+  return `${HEADER}import { defineComponent, h } from "vue";
+
+const ATTRS = ${literal(icon.attribs)};
+
+export default defineComponent({
+  name: ${JSON.stringify(name)},
+  inheritAttrs: false,
+  props: {
+    size:        { type: [Number, String], default: ${icon.size} },
+    title:       { type: String, default: ${JSON.stringify(icon.title)} },
+    description: { type: String, default: ${JSON.stringify(icon.description)} },
+    className:   { type: String, default: undefined },
+  },
+  setup(props, { attrs }) {
+    return () => h("svg", {
+      ...ATTRS,
+      width: props.size,
+      height: props.size,
+      class: props.className,
+      role: props.title ? "img" : undefined,
+      "aria-hidden": props.title ? undefined : "true",
+      ...attrs,
+    }, [
+      props.title ? h("title", props.title) : null,
+      props.title && props.description ? h("desc", props.description) : null${kids.length ? `,\n${kids.join(",\n")}` : ""},
+    ]);
+  },
+});
+`;
+}
+
+const TYPES = {
+  react: `${HEADER}import type { ForwardRefExoticComponent, RefAttributes, SVGProps } from "react";
+
+export interface AwsIconProps extends Omit<SVGProps<SVGSVGElement>, "ref" | "title"> {
+  /** width and height; defaults to the icon's own size */
+  size?: number | string;
+  /** accessible name; null or "" renders a decorative, aria-hidden icon */
+  title?: string | null;
+  /** longer description, rendered as <desc> while the icon has a title */
+  description?: string | null;
+  className?: string;
+}
+
+export type AwsIcon = ForwardRefExoticComponent<AwsIconProps & RefAttributes<SVGSVGElement>>;
+`,
+  vue: `${HEADER}import type { DefineComponent } from "vue";
+
+export interface AwsIconProps {
+  /** width and height; defaults to the icon's own size */
+  size?: number | string;
+  /** accessible name; null or "" renders a decorative, aria-hidden icon */
+  title?: string | null;
+  /** longer description, rendered as <desc> while the icon has a title */
+  description?: string | null;
+  className?: string;
+}
+
+export type AwsIcon = DefineComponent<AwsIconProps>;
+`,
+};
+
+const declaration = (name) =>
+  `${HEADER}import type { AwsIcon } from "./types.js";\n\ndeclare const ${name}: AwsIcon;\nexport default ${name};\n`;
+
+function packageJson(frameworks) {
+  const exports = {};
+  for (const f of frameworks) {
+    exports[`./${f}`]   = { types: `./${f}/index.d.ts`, import: `./${f}/index.js` };
+    exports[`./${f}/*`] = { types: `./${f}/*.d.ts`, import: `./${f}/*.js` };
+  }
+  exports["./package.json"] = "./package.json";
+
+  const peers = { react: ">=16.8", vue: ">=3.0" };
+  return {
+    name:        config.components.package,
+    version:     config.components.version,
+    description: "AWS Architecture Icons as tree-shakable components",
+    type:        "module",
+    sideEffects: false,
+    exports,
+    peerDependencies:     Object.fromEntries(frameworks.map((f) => [f, peers[f]])),
+    peerDependenciesMeta: Object.fromEntries(frameworks.map((f) => [f, { optional: true }])),
+  };
+}
+
+/* ── main build ── */
+(async () => {
+  try {
+    if (!isDir(cfg.source)) { console.error(colour("red", `No source: ${cfg.source}`)); exit(1); }
+
+    if (!cfg.dryRun) { await fs.rm(cfg.dest, { recursive: true, force: true }); await ensure(cfg.dest); }
+
+    /* name every icon first so collisions resolve the same way for each framework */
+    const icons = [];
+    const taken = new Set();
+    for await (const svgPath of walk(cfg.source)) {
+      const rel  = posix(path.relative(cfg.source, svgPath));
+      const base = path.basename(svgPath, path.extname(svgPath));
+      const cat  = rel.includes("/") ? rel.split("/")[0] : "";
+      const icon = parse(await fs.readFile(svgPath, "utf8"));
+      if (!icon) { console.warn(colour("yellow", `Warning: no <svg> root, skipping ${rel}`)); continue; }
+
+      let name = componentName(base);
+      if (taken.has(name.toLowerCase())) name = componentName(`${cat}-${base}`);
+      for (let n = 2; taken.has(name.toLowerCase()); n += 1) name = `${componentName(`${cat}-${base}`)}${n}`;
+      if (name !== componentName(base)) console.warn(colour("yellow", `Name taken: ${rel} exported as ${name}`));
+      taken.add(name.toLowerCase());
+      icons.push({ name, rel, icon });
+    }
+    icons.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const f of cfg.frameworks) {
+      const dir    = path.join(cfg.dest, f);
+      const render = f === "react" ? reactModule : vueModule;
+      if (!cfg.dryRun) {
+        await ensure(dir);
+        for (const { name, icon } of icons) {
+          await fs.writeFile(path.join(dir, `${name}.js`), render(name, icon), "utf8");
+          await fs.writeFile(path.join(dir, `${name}.d.ts`), declaration(name), "utf8");
+        }
+        const reexports = icons.map(({ name }) => `export { default as ${name} } from "./${name}.js";`).join("\n");
+        await fs.writeFile(path.join(dir, "index.js"), `${HEADER}${reexports}\n`, "utf8");
+        await fs.writeFile(path.join(dir, "index.d.ts"),
+          `${HEADER}export type { AwsIcon, AwsIconProps } from "./types.js";\n${reexports}\n`, "utf8");
+        await fs.writeFile(path.join(dir, "types.d.ts"), TYPES[f], "utf8");
+      }
+      console.log(colour("green", `Built ${f}/ (${icons.length} components)`));
+    }
+
+    if (!cfg.dryRun)
+      await fs.writeFile(path.join(cfg.dest, "package.json"), `${JSON.stringify(packageJson(cfg.frameworks), null, 2)}\n`, "utf8");
+
+    console.log(colour("green", `Component package ready${cfg.dryRun ? " [DRY-RUN]" : ""}.`));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
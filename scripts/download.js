@@ -1,43 +1,173 @@
 #!/usr/bin/env node
-"use strict";
 
-const fetch   = require("node-fetch");
-const cheerio = require("cheerio");
-const fs      = require("fs-extra");
-const path    = require("path");
-const AdmZip  = require("adm-zip");
-const crypto  = require("crypto");
+/**
+ * Fetches the AWS Architecture Icons asset package into ./raw-aws-icons,
+ * skipping extraction when its SHA-256 matches the stored checksum.
+ *
+ * Sources (default: scrape the AWS icons page for the asset-package link):
+ *        --page <url>       Page to scrape instead of the AWS site (e.g. a local stand-in)
+ *        --url  <url>       Download this ZIP directly (internal artifact mirror)
+ *        --zip  <file>      Use a local ZIP, no network
+ *        --dir  <folder>    Use an already-extracted package, no network
+ *
+ * Network:
+ *        --timeout <ms>     Idle timeout per request   (default: 60000)
+ *        --retries <n>      Retries after a failure    (default: 3, exponential backoff)
+ *
+ * Defaults for all of these come from the "download" section of aws-icons.config.
+ */
+
+import fetch    from "node-fetch";
+import * as cheerio from "cheerio";
+import fs       from "fs-extra";
+import path     from "node:path";
+import AdmZip   from "adm-zip";
+import crypto   from "node:crypto";
+import process, { argv, exit } from "node:process";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
 
 const PAGE_URL      = "https://aws.amazon.com/architecture/icons/";
 const WORK_DIR      = process.cwd();
-const TARGET_DIR    = path.join(WORK_DIR, "raw-aws-icons");
+const TARGET_DIR    = config.paths.raw;
 const TEMP_ZIP_PATH = path.join(WORK_DIR, "__aws_icons_temp.zip");
 const TEMP_UNZIP    = path.join(WORK_DIR, "__aws_icons_unzip__");
 
+/* the asset-package link must contain all of these */
+const LINK_MARKERS = ["Asset-Package", "architecture-icons"];
+
 /* checksum locations to consult / update */
 const CHECKSUM_FILES = [
   path.join(TARGET_DIR, "checksum.txt"),                  // primary
-  path.join(WORK_DIR, "aws-icons", "checksum.txt"),       // copy placed by restructure.js
+  path.join(config.paths.icons, "checksum.txt"),          // copy placed by restructure.js
 ];
 
+/* ── CLI ── */
+function parseArgs() {
+  const d    = config.download;
+  const opts = {
+    page:    d.page ?? PAGE_URL,
+    url:     d.url,
+    zip:     d.zip,
+    dir:     d.dir,
+    timeout: d.timeout,
+    retries: d.retries,
+  };
+
+  /* a source given on the command line replaces whichever one the config set */
+  const sources = [];
+  const source  = (key, value) => {
+    sources.push(key);
+    Object.assign(opts, { url: null, zip: null, dir: null, [key]: value });
+  };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "--page":    opts.page    = argv[++i]; break;
+      case "--url":     source("url", argv[++i]); break;
+      case "--zip":     source("zip", path.resolve(argv[++i])); break;
+      case "--dir":     source("dir", path.resolve(argv[++i])); break;
+      case "--timeout": opts.timeout = Number(argv[++i]) || opts.timeout; break;
+      case "--retries": opts.retries = Math.max(0, Number(argv[++i]) || 0); break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        exit(1);
+    }
+  }
+
+  if (sources.length > 1 || [opts.url, opts.zip, opts.dir].filter(Boolean).length > 1) {
+    console.error("Use only one of --url, --zip or --dir");
+    exit(1);
+  }
+  return opts;
+}
+
+const cfg = parseArgs();
+
 /* ── helpers ── */
 
-async function getLatestZipUrl() {
-  const res = await fetch(PAGE_URL, { headers: { "User-Agent": "Mozilla/5.0" } });
-  if (!res.ok) throw new Error(`Failed to fetch page: ${res.status}`);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* run fn, retrying with exponential backoff (1s, 2s, 4s…) */
+async function withRetry(label, fn) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= cfg.retries) throw err;
+      const wait = 1000 * 2 ** attempt;
+      console.warn(`${label} failed (${err.message}); retrying in ${wait / 1000}s…`);
+      await sleep(wait);
+    }
+  }
+}
+
+/*
+ * fetch with an abort-based idle timeout: it covers connecting and every gap
+ * between body chunks, so a slow but steady download of the full package
+ * isn't cut off
+ */
+async function fetchWithTimeout(url, options, consume) {
+  const controller = new AbortController();
+  let timer;
+  const arm = () => { clearTimeout(timer); timer = setTimeout(() => controller.abort(), cfg.timeout); };
+  arm();
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    res.body.on("data", arm);                       // consume() attaches its reader in this same tick
+    return await consume(res);
+  } catch (err) {
+    if (err.name === "AbortError") throw new Error(`no data for ${cfg.timeout} ms: ${url}`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function getLatestZipUrl(pageUrl) {
+  const html = await withRetry("Fetching icons page", () =>
+    fetchWithTimeout(pageUrl, { headers: { "User-Agent": "Mozilla/5.0" } }, async (res) => {
+      if (!res.ok) throw new Error(`Failed to fetch page: ${res.status}`);
+      return res.text();
+    }));
 
-  const $           = cheerio.load(await res.text());
+  const $           = cheerio.load(html);
   const assetUrlRel = $("a[href$='.zip']")
     .map((_, el) => $(el).attr("href"))
     .get()
-    .find((href) => href.includes("Asset-Package") && href.includes("architecture-icons"));
+    .find((href) => LINK_MARKERS.every((m) => href.includes(m)));
 
-  if (!assetUrlRel) throw new Error("Full asset-package ZIP link not found");
-  return assetUrlRel.startsWith("http") ? assetUrlRel : `https:${assetUrlRel}`;
+  if (!assetUrlRel) {
+    throw new Error(
+      `Full asset-package ZIP link not found on ${pageUrl}: no a[href$='.zip'] contains ` +
+      `${LINK_MARKERS.map((m) => `"${m}"`).join(" and ")}. The page layout may have changed; ` +
+      "pass --url <zip>, --zip <file> or --dir <folder> to skip scraping.",
+    );
+  }
+  return new URL(assetUrlRel, pageUrl).href;
 }
 
 const sha256 = (fp) => crypto.createHash("sha256").update(fs.readFileSync(fp)).digest("hex");
 
+/* folder checksum: every file's relative path and contents, in sorted order */
+function sha256Dir(root) {
+  const hash  = crypto.createHash("sha256");
+  const files = [];
+  (function collect(dir) {
+    for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+      const p = path.join(dir, e.name);
+      if (e.isDirectory()) collect(p);
+      else if (e.isFile() && e.name !== "checksum.txt") files.push(p);
+    }
+  })(root);
+  for (const fp of files.sort()) {
+    hash.update(path.relative(root, fp).split(path.sep).join("/"));
+    hash.update(fs.readFileSync(fp));
+  }
+  return hash.digest("hex");
+}
+
 /* reads the first checksum*/
 function readChecksum() {
   for (const file of CHECKSUM_FILES) {
@@ -55,62 +185,104 @@ function writeChecksum(sum) {
 }
 
 async function downloadFile(url, dst) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to download: ${res.status}`);
-
-  await new Promise((resolve, reject) => {
-    const out = fs.createWriteStream(dst);
-    res.body.pipe(out);
-    res.body.on("error", reject);
-    out.on("finish", resolve);
-  });
+  await withRetry("Download", () =>
+    fetchWithTimeout(url, {}, async (res) => {
+      if (!res.ok) throw new Error(`Failed to download: ${res.status}`);
+      await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(dst);
+        res.body.pipe(out);
+        res.body.on("error", reject);
+        out.on("error", reject);
+        out.on("finish", resolve);
+      });
+    }));
 }
 
-async function extractZip(zipPath, checksum) {
+/* move the top-level entries of an unpacked package into TARGET_DIR */
+async function install(fromDir, checksum, move) {
+  const entries = (await fs.readdir(fromDir)).filter((name) => name !== "checksum.txt");
+  if (!entries.length) throw new Error(`Package contains no content: ${fromDir}`);
+
   await fs.remove(TARGET_DIR);
+  await fs.ensureDir(TARGET_DIR);
+  for (const name of entries) {
+    const src = path.join(fromDir, name);
+    const dst = path.join(TARGET_DIR, name);
+    if (move) await fs.move(src, dst, { overwrite: true });
+    else      await fs.copy(src, dst);
+  }
+
+  writeChecksum(checksum);
+}
+
+async function extractZip(zipPath, checksum, { keepZip = false } = {}) {
   await fs.remove(TEMP_UNZIP);
   await fs.ensureDir(TEMP_UNZIP);
 
   new AdmZip(zipPath).extractAllTo(TEMP_UNZIP, true);
+  if (!(await fs.readdir(TEMP_UNZIP)).length) throw new Error("ZIP extracted but no content found");
 
-  const entries = await fs.readdir(TEMP_UNZIP);
-  if (!entries.length) throw new Error("ZIP extracted but no content found");
+  await install(TEMP_UNZIP, checksum, true);
+  if (!keepZip) await fs.remove(zipPath);
+  await fs.remove(TEMP_UNZIP);
+  console.log("Extraction complete");
+}
 
-  await fs.ensureDir(TARGET_DIR);
-  for (const name of entries) {
-    await fs.move(
-      path.join(TEMP_UNZIP, name),
-      path.join(TARGET_DIR, name),
-      { overwrite: true },
-    );
+/* false when the stored checksum already matches */
+function isNewVersion(latestSum) {
+  const storedSum = readChecksum();
+  if (storedSum && storedSum === latestSum) {
+    console.log("No changes detected; skipping extraction");
+    return false;
   }
+  console.log("New version detected; updating local copy…");
+  return true;
+}
 
-  writeChecksum(checksum);
-  await fs.remove(zipPath);
-  await fs.remove(TEMP_UNZIP);
-  console.log("Extraction complete");
+/* ── sources ── */
+
+async function fromFolder(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new Error(`Package folder not found: ${dir}`);
+  if (path.resolve(dir) === TARGET_DIR) throw new Error("--dir must not point at raw-aws-icons itself");
+  console.log(`Local package folder: ${dir}`);
+
+  const latestSum = sha256Dir(dir);
+  if (!isNewVersion(latestSum)) return;
+  await install(dir, latestSum, false);
+  console.log("Copy complete");
 }
 
-/* ── main ── */
-(async () => {
-  try {
-    const zipUrl = await getLatestZipUrl();
-    console.log(`Latest package: ${zipUrl}`);
+async function fromZip(zipPath) {
+  if (!fs.existsSync(zipPath)) throw new Error(`ZIP not found: ${zipPath}`);
+  console.log(`Local package: ${zipPath}`);
 
-    await downloadFile(zipUrl, TEMP_ZIP_PATH);
-    const latestSum = sha256(TEMP_ZIP_PATH);
-    const storedSum = readChecksum();
+  const latestSum = sha256(zipPath);
+  if (!isNewVersion(latestSum)) return;
+  await extractZip(zipPath, latestSum, { keepZip: true });
+}
 
-    if (storedSum && storedSum === latestSum) {
-      console.log("No changes detected; skipping extraction");
-      await fs.remove(TEMP_ZIP_PATH);
-      return;
-    }
+async function fromUrl(zipUrl) {
+  console.log(`Latest package: ${zipUrl}`);
 
-    console.log("New version detected; updating local copy…");
-    await extractZip(TEMP_ZIP_PATH, latestSum);
+  await downloadFile(zipUrl, TEMP_ZIP_PATH);
+  const latestSum = sha256(TEMP_ZIP_PATH);
+
+  if (!isNewVersion(latestSum)) {
+    await fs.remove(TEMP_ZIP_PATH);
+    return;
+  }
+  await extractZip(TEMP_ZIP_PATH, latestSum);
+}
+
+/* ── main ── */
+(async () => {
+  try {
+    if (cfg.dir)      await fromFolder(cfg.dir);
+    else if (cfg.zip) await fromZip(cfg.zip);
+    else              await fromUrl(cfg.url ?? await getLatestZipUrl(cfg.page));
   } catch (err) {
     console.error(`Error: ${err.message}`);
+    await fs.remove(TEMP_ZIP_PATH).catch(() => {});
     process.exitCode = 1;
   }
 })();
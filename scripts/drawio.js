@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * drawio.js
+ *
+ * Exports the icon library as diagrams.net (draw.io) shape libraries under
+ * ./aws-icons-drawio:
+ *   • one <Category>.xml <mxlibrary> per top-level folder found in ./aws-icons
+ *   • libraries.json listing each library, its icon count and the AWS package checksum
+ *
+ * Every entry is an image shape with the SVG embedded as a data URI, labelled
+ * with the icon's cleaned <title> (falling back to the filename) and sized
+ * from the SVG's width / height or viewBox. Open a library in draw.io via
+ * File → Open Library.
+ *
+ * Options:
+ *   -s | --source <dir>   icon root   (default: ./aws-icons)
+ *   -d | --dest   <dir>   output dir  (default: ./aws-icons-drawio)
+ *        --dry-run        preview only, no writes
+ */
+
+import fs   from "node:fs/promises";
+import path from "node:path";
+import zlib from "node:zlib";
+import { Buffer } from "node:buffer";
+import { argv, exit } from "node:process";
+import { colour, ensure, isDir, svgInfo, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function cliCfg() {
+  const cfg = { source: config.paths.icons, dest: config.paths.drawio, dryRun: false };
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-s":
+      case "--source": cfg.source = argv[++i]; break;
+      case "-d":
+      case "--dest":   cfg.dest   = argv[++i]; break;
+      case "--dry-run": cfg.dryRun = true;      break;
+      default: console.error(`Unknown argument: ${argv[i]}`); exit(1);
+    }
+  }
+  cfg.source = path.resolve(cfg.source);
+  cfg.dest   = path.resolve(cfg.dest);
+  return cfg;
+}
+const cfg = cliCfg();
+
+/* ── helpers ── */
+const xmlEsc = (s) =>
+  s.replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[ch]));
+
+/* draw.io's own encoding for embedded diagrams: deflate-raw of the URI-encoded XML, base64 */
+const compress = (xml) => zlib.deflateRawSync(encodeURIComponent(xml)).toString("base64");
+
+const STYLE =
+  "shape=image;verticalLabelPosition=bottom;verticalAlign=top;labelBackgroundColor=default;" +
+  "aspect=fixed;imageAspect=0;editableCssRules=.*;";
+
+/* one library entry: a single labelled image cell */
+function entry(svg, label) {
+  const info = svgInfo(svg);
+  if (!info) return null;
+  const w = Math.round(info.width)  || 48;
+  const h = Math.round(info.height) || 48;
+
+  /* style values are ";"-separated, so the data URI uses draw.io's "data:image/svg+xml,<base64>" form */
+  const image = `data:image/svg+xml,${Buffer.from(svg).toString("base64")}`;
+  const cell  =
+    '<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/>' +
+    `<mxCell id="2" value="${xmlEsc(label)}" style="${STYLE}image=${image};" vertex="1" parent="1">` +
+    `<mxGeometry width="${w}" height="${h}" as="geometry"/></mxCell></root></mxGraphModel>`;
+
+  return { xml: compress(cell), w, h, aspect: "fixed", title: label };
+}
+
+/* the JSON array is the element's text, so quotes can stay as they are */
+const library = (entries) =>
+  `<mxlibrary>${JSON.stringify(entries, null, 2).replace(/[&<>]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" }[ch]))}</mxlibrary>\n`;
+
+/* ── main build ── */
+(async () => {
+  try {
+    if (!isDir(cfg.source)) { console.error(colour("red", `No source: ${cfg.source}`)); exit(1); }
+
+    if (!cfg.dryRun) { await fs.rm(cfg.dest, { recursive: true, force: true }); await ensure(cfg.dest); }
+
+    const categories = (await fs.readdir(cfg.source, { withFileTypes: true }))
+      .filter((d) => d.isDirectory())
+      .map((d) => d.name)
+      .sort();
+
+    console.log(colour("cyan", `Categories found: ${categories.length}`));
+
+    let checksum = null;
+    try { checksum = (await fs.readFile(path.join(cfg.source, "checksum.txt"), "utf8")).trim(); }
+    catch {/* optional */}
+
+    const libraries = {};
+    for (const cat of categories) {
+      const entries = [];
+      for await (const svgPath of walk(path.join(cfg.source, cat))) {
+        const svg = await fs.readFile(svgPath, "utf8");
+        const e   = entry(svg, svgInfo(svg)?.title || path.basename(svgPath, path.extname(svgPath)));
+        if (!e) { console.warn(colour("yellow", `Warning: no <svg> root, skipping ${path.relative(cfg.source, svgPath)}`)); continue; }
+        entries.push(e);
+      }
+      if (!entries.length) continue;
+
+      if (!cfg.dryRun) await fs.writeFile(path.join(cfg.dest, `${cat}.xml`), library(entries), "utf8");
+      libraries[`${cat}.xml`] = entries.length;
+      console.log(colour("green", `Built ${cat}.xml (${entries.length} shapes)`));
+    }
+
+    if (!cfg.dryRun)
+      await fs.writeFile(path.join(cfg.dest, "libraries.json"),
+        `${JSON.stringify({ package: checksum, libraries }, null, 2)}\n`, "utf8");
+
+    console.log(colour("green", `draw.io libraries ready${cfg.dryRun ? " [DRY-RUN]" : ""}.`));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * excalidraw.js
+ *
+ * Exports the icon library as Excalidraw libraries under ./aws-icons-excalidraw:
+ *   • one <Category>.excalidrawlib per top-level folder found in ./aws-icons
+ *   • aws-icons.excalidrawlib with every icon in one file
+ *
+ * Each library item is an image element, with the SVG embedded as file data
+ * (a data URL in the top-level "files" map, as .excalidraw scenes store
+ * images), grouped with a text label under it. The label and item name are
+ * the cleaned <title> from svg-optimise.js, or the filename when there is none.
+ *
+ * Ids, seeds and timestamps are derived from the icon path and content, so an
+ * unchanged library rebuilds byte for byte.
+ *
+ * Options:
+ *   -s | --source <dir>   icon root   (default: ./aws-icons)
+ *   -d | --dest   <dir>   output dir  (default: ./aws-icons-excalidraw)
+ *        --dry-run        preview only, no writes
+ */
+
+import fs     from "node:fs/promises";
+import path   from "node:path";
+import crypto from "node:crypto";
+import { Buffer } from "node:buffer";
+import { argv, exit } from "node:process";
+import { colour, ensure, isDir, posix, svgInfo, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function cliCfg() {
+  const cfg = { source: config.paths.icons, dest: config.paths.excalidraw, dryRun: false };
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-s":
+      case "--source": cfg.source = argv[++i]; break;
+      case "-d":
+      case "--dest":   cfg.dest   = argv[++i]; break;
+      case "--dry-run": cfg.dryRun = true;      break;
+      default: console.error(`Unknown argument: ${argv[i]}`); exit(1);
+    }
+  }
+  cfg.source = path.resolve(cfg.source);
+  cfg.dest   = path.resolve(cfg.dest);
+  return cfg;
+}
+const cfg = cliCfg();
+
+/* ── helpers ── */
+const sha1 = (s) => crypto.createHash("sha1").update(s).digest("hex");
+
+/* stable pseudo-random 31-bit integers for Excalidraw's seed / versionNonce */
+const seed = (s) => Number.parseInt(sha1(s).slice(0, 8), 16) & 0x7fffffff;
+
+const FONT_SIZE = 16;
+const GAP       = 8;
+
+/* the properties every Excalidraw element carries */
+const base = (id, extra) => ({
+  id,
+  x: 0,
+  y: 0,
+  angle: 0,
+  strokeColor: "#1e1e1e",
+  backgroundColor: "transparent",
+  fillStyle: "solid",
+  strokeWidth: 1,
+  strokeStyle: "solid",
+  roughness: 0,
+  opacity: 100,
+  groupIds: [],
+  frameId: null,
+  roundness: null,
+  seed: seed(id),
+  version: 1,
+  versionNonce: seed(`${id}:nonce`),
+  isDeleted: false,
+  boundElements: null,
+  updated: 1,
+  link: null,
+  locked: false,
+  ...extra,
+});
+
+/* one library item (image + label, grouped) and the file entry it references */
+function item(rel, svg) {
+  const info = svgInfo(svg);
+  if (!info) return null;
+
+  const label   = info.title || path.posix.basename(rel, path.extname(rel));
+  const width   = info.width  || 48;
+  const height  = info.height || 48;
+  const dataURL = `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+  const fileId  = sha1(dataURL);
+  const id      = sha1(rel).slice(0, 20);
+  const group   = [`${id}-group`];
+
+  /* rough text metrics; Excalidraw re-measures the label once it is placed */
+  const textW = Math.ceil(label.length * FONT_SIZE * 0.55);
+  const textH = Math.ceil(FONT_SIZE * 1.25);
+
+  const image = base(`${id}-image`, {
+    type: "image", width, height, groupIds: group,
+    strokeColor: "transparent", status: "saved", fileId, scale: [1, 1],
+  });
+  const text = base(`${id}-label`, {
+    type: "text", x: (width - textW) / 2, y: height + GAP, width: textW, height: textH, groupIds: group,
+    text: label, originalText: label, fontSize: FONT_SIZE, fontFamily: 2, textAlign: "center",
+    verticalAlign: "top", containerId: null, autoResize: true, lineHeight: 1.25,
+  });
+
+  return {
+    item: { status: "published", id, created: 1, name: label, elements: [image, text] },
+    file: { mimeType: "image/svg+xml", id: fileId, dataURL, created: 1 },
+  };
+}
+
+function library(items) {
+  const files = {};
+  for (const { file } of items) files[file.id] = file;
+  return `${JSON.stringify({
+    type: "excalidrawlib",
+    version: 2,
+    source: "https://excalidraw.com",
+    libraryItems: items.map((i) => i.item),
+    files,
+  }, null, 2)}\n`;
+}
+
+/* ── main build ── */
+(async () => {
+  try {
+    if (!isDir(cfg.source)) { console.error(colour("red", `No source: ${cfg.source}`)); exit(1); }
+
+    if (!cfg.dryRun) { await fs.rm(cfg.dest, { recursive: true, force: true }); await ensure(cfg.dest); }
+
+    const categories = (await fs.readdir(cfg.source, { withFileTypes: true }))
+      .filter((d) => d.isDirectory())
+      .map((d) => d.name)
+      .sort();
+
+    console.log(colour("cyan", `Categories found: ${categories.length}`));
+
+    const all = [];
+    for (const cat of categories) {
+      const items = [];
+      for await (const svgPath of walk(path.join(cfg.source, cat))) {
+        const rel = posix(path.relative(cfg.source, svgPath));
+        const it  = item(rel, await fs.readFile(svgPath, "utf8"));
+        if (!it) { console.warn(colour("yellow", `Warning: no <svg> root, skipping ${rel}`)); continue; }
+        items.push(it);
+      }
+      if (!items.length) continue;
+
+      if (!cfg.dryRun) await fs.writeFile(path.join(cfg.dest, `${cat}.excalidrawlib`), library(items), "utf8");
+      all.push(...items);
+      console.log(colour("green", `Built ${cat}.excalidrawlib (${items.length} items)`));
+    }
+
+    if (!cfg.dryRun) await fs.writeFile(path.join(cfg.dest, "aws-icons.excalidrawlib"), library(all), "utf8");
+
+    console.log(colour("green", `Built aws-icons.excalidrawlib (${all.length} items)`));
+    console.log(colour("green", `Excalidraw libraries ready${cfg.dryRun ? " [DRY-RUN]" : ""}.`));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
@@ -6,53 +6,71 @@
  *
  * Builds a small static site under ./aws-svg-helper:
  *   • one HTML page per top-level category found in ./aws-icons (default)
+ *   • all.html with every icon on one page
  *   • an index.html with tile links to every category
+ *   • search.html, a library-wide fuzzy search with category / kind /
+ *     light-dark (and, for multi-size builds, size) filters
+ *   • search-index.js, the icon records every page draws its tiles from
+ *   • icons/, a copy of the icon files the tiles show as <img>
+ *   • svg/<Category>.js, the markup of each category's icons for the copy actions
+ *   • icon-grid.js and icon-actions.js (from scripts/helper/): the virtualised
+ *     grid, and copy as SVG / JSX / data URI / <img> / path / Markdown, PNG
+ *     downloads and a details panel with the original AWS name and the sizes built
+ *
+ * Pages carry no SVG markup of their own: the grid only draws the tiles near
+ * the viewport, and their images load as they scroll in.
+ *
+ * --categories rebuilds only the named categories (their page, icon copies and
+ * markup bundle) plus the shared pages, reusing the other records from the
+ * last search-index.js; `aws-icons serve` uses it to rebuild what changed.
  *
  * Options:
- *   -s | --source <dir>   icon root   (default: ./aws-icons)
- *   -d | --dest   <dir>   output dir  (default: ./aws-svg-helper)
- *        --dry-run        preview only, no writes
+ *   -s | --source     <dir>    icon root                        (default: ./aws-icons)
+ *   -d | --dest       <dir>    output dir                       (default: ./aws-svg-helper)
+ *        --icons-root <name>   folder name the copy actions put before icon paths
+ *                              (default: the source folder's name; `aws-icons update`
+ *                              passes the live one while building from staging)
+ *        --categories <list>   rebuild just these categories    (default: all, from scratch)
+ *        --dry-run             preview only, no writes
  */
 
 import fs   from "node:fs/promises";
 import fsc  from "node:fs";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
 import { argv, exit } from "node:process";
+import { colour, ensure, guessKind, isDir, posix, sizesByIcon, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+import { fuzzyScore, readIndex, searchKeywords } from "./lib/search.js";
+
+const config = await loadConfig();
+
+const ASSETS = path.join(path.dirname(fileURLToPath(import.meta.url)), "helper");
 
 /* ── CLI ── */
 function cliCfg() {
-  const cfg = { source: "aws-icons", dest: "aws-svg-helper", dryRun: false };
+  const cfg = { source: config.paths.icons, dest: config.paths.helper, iconsRoot: null, only: null, dryRun: false };
   for (let i = 2; i < argv.length; i += 1) {
     switch (argv[i]) {
       case "-s":
       case "--source": cfg.source = argv[++i]; break;
       case "-d":
       case "--dest":   cfg.dest   = argv[++i]; break;
+      case "--icons-root": cfg.iconsRoot = argv[++i]; break;
+      case "--categories": cfg.only = argv[++i].split(",").map((x) => x.trim()).filter(Boolean); break;
       case "--dry-run": cfg.dryRun = true;      break;
       default: console.error(`Unknown argument: ${argv[i]}`); exit(1);
     }
   }
   cfg.source = path.resolve(cfg.source);
   cfg.dest   = path.resolve(cfg.dest);
+  cfg.iconsRoot ??= path.basename(cfg.source);
   return cfg;
 }
 const cfg = cliCfg();
 
 /* ── helpers ── */
-const colour = (c, t) =>
-  `\u001b[${{ red:31, green:32, yellow:33, cyan:36 }[c]}m${t}\u001b[0m`;
-
-const isDir  = (p) => fsc.existsSync(p) && fsc.statSync(p).isDirectory();
 const exists = (p) => fsc.existsSync(p);
-const ensure = (d) => fs.mkdir(d, { recursive: true });
-
-async function* walk(dir) {
-  for (const e of await fs.readdir(dir, { withFileTypes: true })) {
-    const p = path.join(dir, e.name);
-    if (e.isDirectory()) yield* walk(p);
-    else if (e.isFile() && e.name.toLowerCase().endsWith(".svg")) yield p;
-  }
-}
 
 const stripXml = (s) =>
   s.replace(/<\?xml[\s\S]*?\?>/i, "").replace(/<!DOCTYPE[\s\S]*?>/i, "").trim();
@@ -70,10 +88,133 @@ const tokenMatch = (cat, icon) =>
 /* dark-variant test */
 const isDarkName = (name) => /dark/i.test(name);
 
-/* fallback cloud-logo.svg */
-async function loadFallback() {
-  const p = path.join(cfg.source, "Architecture-Group", "Cloud-logo.svg");
-  return exists(p) ? stripXml(await fs.readFile(p, "utf8")) : null;
+const titleOf = (svg) => svg.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1].trim() ?? null;
+
+async function loadOrigins() {
+  const p = path.join(cfg.source, "origins.json");
+  return exists(p) ? JSON.parse(await fs.readFile(p, "utf8")) : {};
+}
+
+/* one search-index record; "general-light" / "general-dark" fold into kind + variant */
+function indexEntry(rel, cat, svg, dark, origins, sizes) {
+  const name   = path.posix.basename(rel, ".svg");
+  const origin = origins[rel];
+  const kind   = origin?.kind ?? guessKind(cat, svg);
+  const title  = titleOf(svg);
+  return {
+    id:       rel.replace(/\.svg$/i, ""),
+    path:     rel,
+    name,
+    original: origin ? path.posix.basename(origin.source) : null,
+    source:   origin?.source ?? null,
+    title,
+    category: cat,
+    kind:     kind?.startsWith("general") ? "general" : kind,
+    variant:  dark ? "dark" : "light",
+    size:     origin?.size ?? null,
+    sizes:    sizes[rel] ?? [],
+    keywords: searchKeywords(name, title),
+  };
+}
+
+/* a copied icon file, as a URL relative to the helper pages */
+const iconUrl = (rel) => `icons/${rel.split("/").map(encodeURIComponent).join("/")}`;
+
+/* a JSON value that is safe inside an inline <script> */
+const inline = (v) => JSON.stringify(v).replace(/</g, "\\u003c");
+
+const FALLBACK = "Architecture-Group/Cloud-logo.svg";
+
+const STYLE = `body{font-family:system-ui,Arial,sans-serif;margin:0;padding:1rem;}
+h1{margin-top:0;}
+a.back{display:inline-block;margin-bottom:1rem;text-decoration:none;color:#0063d1;}`;
+
+/* a category page, or (without a category) all.html */
+function gridPage(cat, iconsRoot) {
+  const heading = cat ?? "All icons";
+  const filter  = cat ? `.filter((e) => e.category === ${inline(cat)})` : "";
+  const detail  = cat ? "" : ", { detail: (e) => e.category }";
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">
+<title>${esc(heading)} – AWS Icon Helper</title>
+<style>
+${STYLE}
+</style></head><body data-icons-root="${esc(iconsRoot)}">
+<a class="back" href="index.html">← All categories</a> · <a class="back" href="search.html">Search all icons</a>
+<h1>${esc(heading)}</h1><p>Click an icon to copy its SVG code, or use ⋯ for other formats and details.</p>
+<div id="grid"></div>
+<noscript>The icon grid needs JavaScript; the SVG files are in icons/.</noscript>
+<script src="search-index.js"></script>
+<script src="icon-grid.js"></script>
+<script src="icon-actions.js"></script>
+<script>
+AwsIconGrid.mount(document.getElementById("grid")${detail}).show(window.AWS_ICON_INDEX${filter});
+</script></body></html>`;
+}
+
+const KINDS = ["service", "resource", "group", "category", "general"];
+
+function searchPage(categories, sizes, iconsRoot) {
+  const options = categories.map((c) => `<option value="${esc(c)}">${esc(c)}</option>`).join("");
+  const sizeBox = sizes.length > 1
+    ? `\n<select id="size" aria-label="Size"><option value="">All sizes</option>${sizes.map((n) => `<option value="${n}">${n}px</option>`).join("")}</select>`
+    : "";
+  const kinds   = KINDS.map((k) => `<label><input type="checkbox" name="kind" value="${k}" checked> ${k}</label>`).join("\n");
+
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">
+<title>Search – AWS Icon Helper</title>
+<style>
+${STYLE}
+.filters{display:flex;flex-wrap:wrap;gap:1rem;align-items:center;margin-bottom:1rem;}
+.filters input[type=search]{flex:1 1 20rem;padding:.4rem .6rem;font-size:1rem;}
+.filters fieldset{border:1px solid #d0d0d0;border-radius:6px;padding:.25rem .6rem;}
+#count{color:#555;margin:0 0 1rem 0;}
+</style></head><body data-icons-root="${esc(iconsRoot)}">
+<a class="back" href="index.html">← All categories</a>
+<h1>Search icons</h1>
+<form class="filters" onsubmit="return false">
+<input type="search" id="q" placeholder="Name, title or abbreviation (ec2, s3, sqs…)" aria-label="Search" autofocus>
+<select id="category" aria-label="Category"><option value="">All categories</option>${options}</select>
+<fieldset><legend>Kind</legend>
+${kinds}
+</fieldset>
+<select id="variant" aria-label="Variant"><option value="">Light and dark</option><option value="light">Light only</option><option value="dark">Dark only</option></select>${sizeBox}
+</form>
+<p id="count"></p>
+<div id="results"></div>
+<script src="search-index.js"></script>
+<script src="icon-grid.js"></script>
+<script src="icon-actions.js"></script>
+<script>
+${fuzzyScore.toString()}
+const $=(id)=>document.getElementById(id);
+const grid=AwsIconGrid.mount($('results'),{detail:(e)=>$('size')&&e.size?\`\${e.category} · \${e.size}px\`:e.category});
+function state(){
+  return {
+    q:$('q').value.trim(),
+    category:$('category').value,
+    variant:$('variant').value,
+    size:$('size')?.value??'',
+    kinds:[...document.querySelectorAll('input[name=kind]:checked')].map((el)=>el.value),
+  };
+}
+function render(){
+  const s=state();
+  const hits=window.AWS_ICON_INDEX
+    .filter((e)=>(!s.category||e.category===s.category)&&(!s.variant||e.variant===s.variant)&&(!s.size||e.size===Number(s.size))&&(!e.kind||s.kinds.includes(e.kind)))
+    .map((e)=>[e,fuzzyScore(e,s.q)])
+    .filter(([,score])=>score>0)
+    .sort((a,b)=>b[1]-a[1]||a[0].id.length-b[0].id.length||a[0].id.localeCompare(b[0].id));
+  $('count').textContent=\`\${hits.length} icon\${hits.length===1?'':'s'}\`;
+  grid.show(hits.map(([e])=>e));
+  const params=new URLSearchParams();
+  for(const k of ['q','category','variant','size']) if(s[k]) params.set(k,s[k]);
+  history.replaceState(null,'',params.toString()?'?'+params:location.pathname);
+}
+const params=new URLSearchParams(location.search);
+for(const k of ['q','category','variant','size']) if(params.has(k)&&$(k)) $(k).value=params.get(k);
+document.querySelector('.filters').addEventListener('input',render);
+render();
+</script></body></html>`;
 }
 
 /* ── main build ── */
@@ -81,8 +222,6 @@ async function loadFallback() {
   try {
     if (!isDir(cfg.source)) { console.error(colour("red", `No source: ${cfg.source}`)); exit(1); }
 
-    if (!cfg.dryRun) { await fs.rm(cfg.dest, { recursive: true, force: true }); await ensure(cfg.dest); }
-
     /* discover categories (top-level dirs) */
     const categories = (await fs.readdir(cfg.source, { withFileTypes: true }))
       .filter((d) => d.isDirectory())
@@ -91,6 +230,20 @@ async function loadFallback() {
 
     console.log(colour("cyan", `Categories found: ${categories.length}`));
 
+    /* --categories: clear just those and keep the other records; otherwise start from scratch */
+    const previous = cfg.only ? await readIndex(cfg.dest) : null;
+    const rebuild  = (cat) => !previous || cfg.only.includes(cat);
+    if (previous) {
+      console.log(colour("cyan", `Rebuilding: ${cfg.only.join(", ")}`));
+      if (!cfg.dryRun)
+        for (const cat of cfg.only)
+          for (const p of [`${cat}.html`, `svg/${cat}.js`, `icons/${cat}`])
+            await fs.rm(path.join(cfg.dest, p), { recursive: true, force: true });
+    } else if (!cfg.dryRun) {
+      await fs.rm(cfg.dest, { recursive: true, force: true });
+      await ensure(cfg.dest);
+    }
+
     /* representative icons */
     const catIcons = {};
     const catRoot  = path.join(cfg.source, "Categories");
@@ -100,66 +253,56 @@ async function loadFallback() {
         const hit =
           icons.find((f) => path.basename(f, ".svg") === cat) ||
           icons.find((f) => tokenMatch(cat, path.basename(f, ".svg")));
-        if (hit) catIcons[cat] = stripXml(await fs.readFile(path.join(catRoot, hit), "utf8"));
+        if (hit) catIcons[cat] = `Categories/${hit}`;
       }
     }
-    const fallbackSvg = await loadFallback();
+    const fallback    = exists(path.join(cfg.source, FALLBACK)) ? FALLBACK : null;
+    const origins     = await loadOrigins();
+    const sizes       = sizesByIcon(origins);
+    /* the sizes restructure.js was asked for; the search page gets a size filter when there are several */
+    const builtSizes  = [...new Set(Object.values(origins).filter((o) => o.size && !o.fallback).map((o) => o.size))]
+      .sort((a, b) => a - b);
+    const iconsRoot   = cfg.iconsRoot;               // prefix for the paths the copy actions emit
 
-    /* build category pages */
-    const built = [];
-    for (const cat of categories) {
+    /* copy the icons, collect their records and write each category's markup bundle */
+    const entries = previous ? previous.filter((e) => !rebuild(e.category) && categories.includes(e.category)) : [];
+    for (const cat of categories.filter(rebuild)) {
       const srcDir = path.join(cfg.source, cat);
       if (!isDir(srcDir)) continue;
 
-      let iconsHTML = "";
+      const bundle = {};
       for await (const svgPath of walk(srcDir)) {
-        const fname    = path.basename(svgPath);
-        const dark     = isDarkName(fname) || isDarkName(cat);
-        const divClass = `icon${dark ? " dark" : ""}`;
-        const svg      = stripXml(await fs.readFile(svgPath, "utf8"));
-        iconsHTML += `<div class="${divClass}" title="${esc(path.basename(svgPath, ".svg"))}">${svg}</div>\n`;
+        const rel  = posix(path.relative(cfg.source, svgPath));
+        const dark = isDarkName(path.basename(svgPath)) || isDarkName(cat);
+        const svg  = stripXml(await fs.readFile(svgPath, "utf8"));
+        entries.push(indexEntry(rel, cat, svg, dark, origins, sizes));
+        bundle[rel] = svg;
+        if (cfg.dryRun) continue;
+        await ensure(path.dirname(path.join(cfg.dest, "icons", rel)));
+        await fs.copyFile(svgPath, path.join(cfg.dest, "icons", rel));
       }
-      if (!iconsHTML) continue;
+      if (!Object.keys(bundle).length) continue;
 
-      const page = `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">
-<title>${esc(cat)} – AWS Icon Helper</title>
-<style>
-body{font-family:system-ui,Arial,sans-serif;margin:0;padding:1rem;}
-h1{margin-top:0;}
-.grid{display:grid;gap:1rem;grid-template-columns:repeat(auto-fill,minmax(90px,1fr));}
-.icon{cursor:pointer;border:1px solid #d0d0d0;border-radius:6px;padding:.5rem;text-align:center;transition:background-color .2s;}
-.icon:hover{background:#f5f5f5;}
-.icon svg{width:48px;height:48px;}
-.icon.dark{background:#1e1e1e;border-color:#3a3a3a;}
-.icon.dark:hover{background:#313131;}
-a.back{display:inline-block;margin-bottom:1rem;text-decoration:none;color:#0063d1;}
-</style></head><body>
-<a class="back" href="index.html">← All categories</a>
-<h1>${esc(cat)}</h1><p>Click an icon to copy its SVG code.</p>
-<div class="grid">${iconsHTML}</div>
-<script>
-document.querySelectorAll('.icon').forEach(el=>{
-  el.addEventListener('click',()=>{
-    const svg=el.querySelector('svg').outerHTML;
-    navigator.clipboard.writeText(svg).then(()=>{
-      el.style.background='#c8e6c9';setTimeout(()=>el.style.background='',350);
-    });
-  });
-});
-</script></body></html>`;
-
-      if (!cfg.dryRun) await fs.writeFile(path.join(cfg.dest, `${cat}.html`), page, "utf8");
-      built.push(cat);
+      if (!cfg.dryRun) {
+        await ensure(path.join(cfg.dest, "svg"));
+        await fs.writeFile(path.join(cfg.dest, "svg", `${cat}.js`),
+          `window.AWS_ICON_SVG = Object.assign(window.AWS_ICON_SVG || {}, ${JSON.stringify(bundle)});\n`, "utf8");
+        await fs.writeFile(path.join(cfg.dest, `${cat}.html`), gridPage(cat, iconsRoot), "utf8");
+      }
       console.log(colour("green", `Built ${cat}.html`));
     }
+    const built = categories.filter((cat) => entries.some((e) => e.category === cat));
+
+    if (!cfg.dryRun) await fs.writeFile(path.join(cfg.dest, "all.html"), gridPage(null, iconsRoot), "utf8");
+    console.log(colour("green", `Built all.html (${entries.length} icons)`));
 
     /* build index.html */
     let tiles = "";
     for (const cat of built) {
-      const thumb =
-        catIcons[cat] ||
-        fallbackSvg ||
-        '<span style="font-size:1.6rem;">Folder</span>';
+      const icon  = catIcons[cat] || fallback;
+      const thumb = icon
+        ? `<img src="${esc(iconUrl(icon))}" alt="" width="48" height="48" loading="lazy">`
+        : '<span style="font-size:1.6rem;">Folder</span>';
       tiles += `<a class="tile" href="${encodeURIComponent(cat)}.html" title="${esc(cat)}">
   <div class="thumb">${thumb}</div><span>${esc(cat)}</span></a>\n`;
     }
@@ -174,16 +317,29 @@ h1{margin:0 0 1rem 0;}
       border:1px solid #d0d0d0;border-radius:8px;padding:.75rem;transition:box-shadow .2s;}
 .tile:hover{box-shadow:0 0 6px rgba(0,0,0,.25);}
 .thumb{margin-bottom:.5rem;}
-.thumb svg{width:48px;height:48px;}
+.thumb img{display:block;width:48px;height:48px;}
 span{font-size:.85rem;text-align:center;}
+.search{display:flex;gap:.5rem;margin-bottom:1rem;}
+.search input{flex:1;max-width:32rem;padding:.4rem .6rem;font-size:1rem;}
 </style></head><body>
 <h1>AWS Icon Library</h1>
-<p>Select a category to view and copy its icons.</p>
+<form class="search" action="search.html"><input type="search" name="q" placeholder="Search all icons, e.g. s3 bucket, lambda, sqs" aria-label="Search all icons"><button>Search</button></form>
+<p>Select a category to view and copy its icons, or browse <a href="all.html">all icons</a> on one page.</p>
 <div class="grid">${tiles}</div></body></html>`;
 
     if (!cfg.dryRun) await fs.writeFile(path.join(cfg.dest, "index.html"), index, "utf8");
-
     console.log(colour("green", "Built index.html"));
+
+    /* search index + page (a script rather than JSON so the site also works from file://) */
+    entries.sort((a, b) => a.id.localeCompare(b.id));
+    if (!cfg.dryRun) {
+      await fs.writeFile(path.join(cfg.dest, "search-index.js"),
+        `window.AWS_ICON_INDEX = ${JSON.stringify(entries)};\n`, "utf8");
+      await fs.writeFile(path.join(cfg.dest, "search.html"), searchPage(built, builtSizes, iconsRoot), "utf8");
+      for (const asset of ["icon-grid.js", "icon-actions.js"])
+        await fs.copyFile(path.join(ASSETS, asset), path.join(cfg.dest, asset));
+    }
+    console.log(colour("green", `Built search.html (${entries.length} icons indexed)`));
     console.log(colour("green", `SVG helper pages ready${cfg.dryRun ? " [DRY-RUN]" : ""}.`));
   } catch (err) {
     console.error(colour("red", err.stack || err.message));
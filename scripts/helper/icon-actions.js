@@ -0,0 +1,268 @@
+/**
+ * icon-actions.js – browser script shared by every helper page.
+ *
+ * Copied into aws-svg-helper/ by generate-helper-pages.js. Clicking a tile
+ * still copies its SVG; the ⋯ button on a tile opens a details panel with the
+ * original AWS name, the file path and copy actions for other formats:
+ * JSX, CSS data URI, <img> tag, path, Markdown and PNG downloads.
+ *
+ * Tiles are `.icon` elements (drawn by icon-grid.js) holding an <img> of the
+ * icon plus data-path, data-category, data-title, data-original, data-source,
+ * data-kind, data-size and data-sizes (every size built for the icon)
+ * attributes; the icon root folder name comes from <body data-icons-root>.
+ *
+ * The SVG markup itself lives in one svg/<Category>.js script per category,
+ * loaded the first time a tile of that category is hovered, focused or
+ * clicked. Scripts rather than fetch() keep the site working from file://.
+ */
+
+(() => {
+  const PNG_SIZES = [64, 128, 256];
+
+  const ACTIONS = [
+    ["svg",      "SVG"],
+    ["jsx",      "JSX"],
+    ["datauri",  "CSS data URI"],
+    ["img",      "<img> tag"],
+    ["path",     "File path"],
+    ["markdown", "Markdown"],
+  ];
+
+  const style = document.createElement("style");
+  style.textContent = `
+.icon{position:relative;}
+.icon .more{position:absolute;top:2px;right:2px;border:0;background:none;cursor:pointer;
+  font-size:1rem;line-height:1;padding:2px 4px;border-radius:4px;color:inherit;opacity:.45;}
+.icon .more:hover,.icon .more:focus{opacity:1;background:rgba(0,0,0,.12);}
+#icon-panel{position:fixed;top:0;right:0;bottom:0;width:min(22rem,100%);overflow:auto;box-sizing:border-box;
+  padding:1rem;background:#fff;border-left:1px solid #d0d0d0;box-shadow:-4px 0 12px rgba(0,0,0,.12);z-index:10;}
+#icon-panel[hidden]{display:none;}
+#icon-panel .close{float:right;border:0;background:none;font-size:1.4rem;cursor:pointer;}
+#icon-panel .preview{display:flex;justify-content:center;padding:1rem;border-radius:6px;background:#f5f5f5;}
+#icon-panel .preview.dark{background:#1e1e1e;}
+#icon-panel .preview img{width:96px;height:96px;}
+#icon-panel h2{font-size:1.1rem;word-break:break-word;}
+#icon-panel dl{display:grid;grid-template-columns:auto 1fr;gap:.25rem .75rem;font-size:.85rem;}
+#icon-panel dt{color:#666;}
+#icon-panel dd{margin:0;word-break:break-all;font-family:ui-monospace,monospace;}
+#icon-panel .actions{display:flex;flex-wrap:wrap;gap:.4rem;margin-top:1rem;}
+#icon-panel .actions button{padding:.3rem .6rem;cursor:pointer;}
+#icon-panel .status{min-height:1.2em;color:#2e7d32;font-size:.85rem;}`;
+  document.head.append(style);
+
+  const root = document.body.dataset.iconsRoot || "aws-icons";
+  const esc  = (s) => String(s).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[ch]));
+
+  /* ── markup ── */
+
+  const bundles = {};                                  // category -> Promise of its svg/<Category>.js
+  window.AWS_ICON_SVG ??= {};
+
+  function loadBundle(category) {
+    bundles[category] ??= new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = `svg/${encodeURIComponent(category)}.js`;
+      script.onload = resolve;
+      script.onerror = () => { delete bundles[category]; reject(new Error(`Could not load ${script.src}`)); };
+      document.head.append(script);
+    });
+    return bundles[category];
+  }
+
+  /* the icon's standalone SVG markup, exactly as in the icon file */
+  async function markup(tile) {
+    const { path, category } = tile.dataset;
+    if (!(path in window.AWS_ICON_SVG)) await loadBundle(category);
+    return window.AWS_ICON_SVG[path];
+  }
+
+  const svgOf = async (tile) => {
+    const svg = new DOMParser().parseFromString(await markup(tile), "image/svg+xml").documentElement;
+    if (!svg.getAttribute("xmlns")) svg.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+    return svg;
+  };
+
+  /* ── formats ── */
+
+  const camel = (name) => name.replace(/[:-]([a-z])/g, (_, c) => c.toUpperCase());
+
+  function jsxAttr({ name, value }) {
+    const quoted = `"${value.replace(/"/g, "&quot;")}"`;
+    if (name === "class") return `className=${quoted}`;
+    if (name === "style") {
+      const props = value.split(";").map((d) => d.trim()).filter(Boolean).map((d) => {
+        const i = d.indexOf(":");
+        return `${camel(d.slice(0, i).trim())}: ${JSON.stringify(d.slice(i + 1).trim())}`;
+      });
+      return `style={{ ${props.join(", ")} }}`;
+    }
+    return `${/^(aria|data)-/.test(name) ? name : camel(name)}=${quoted}`;
+  }
+
+  function toJsx(node, depth = 0) {
+    const pad = "  ".repeat(depth);
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = node.textContent.trim();
+      return text ? `${pad}${text.replace(/[{}<>]/g, (ch) => `{"${ch}"}`)}` : "";
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+    const tag   = node.localName;
+    const attrs = [...node.attributes].map(jsxAttr).join(" ");
+    const open  = `${pad}<${tag}${attrs ? ` ${attrs}` : ""}`;
+    const kids  = [...node.childNodes].map((n) => toJsx(n, depth + 1)).filter(Boolean);
+    if (!kids.length) return `${open} />`;
+    if (kids.length === 1 && node.childNodes.length === 1 && node.firstChild.nodeType === Node.TEXT_NODE)
+      return `${open}>${kids[0].trim()}</${tag}>`;
+    return `${open}>\n${kids.join("\n")}\n${pad}</${tag}>`;
+  }
+
+  /* compact, readable data URI: only what CSS strings and URLs need is escaped */
+  function dataUri(svg) {
+    const min = svg.outerHTML.replace(/>\s+</g, "><").replace(/\s+/g, " ").trim();
+    const enc = encodeURIComponent(min)
+      .replace(/%20/g, " ").replace(/%3D/g, "=").replace(/%3A/g, ":").replace(/%2F/g, "/");
+    return `url("data:image/svg+xml,${enc}")`;
+  }
+
+  async function format(kind, tile) {
+    const { path, title } = tile.dataset;
+    const file  = `${root}/${path}`;
+    const label = title || path.split("/").pop().replace(/\.svg$/i, "");
+    switch (kind) {
+      case "svg":      return markup(tile);
+      case "jsx":      return toJsx(await svgOf(tile));
+      case "datauri":  return dataUri(await svgOf(tile));
+      case "img":      return `<img src="${esc(file)}" alt="${esc(label)}" width="48" height="48">`;
+      case "path":     return file;
+      case "markdown": return `![${label.replace(/[[\]]/g, "\\$&")}](${encodeURI(file)})`;
+    }
+    return "";
+  }
+
+  /* render the SVG onto a canvas (aspect ratio kept) and download it; settles once the download started */
+  async function downloadPng(tile, size) {
+    const url = URL.createObjectURL(new Blob([await markup(tile)], { type: "image/svg+xml" }));
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement("canvas");
+        canvas.width = canvas.height = size;
+        const scale = size / Math.max(img.naturalWidth || size, img.naturalHeight || size);
+        const w = (img.naturalWidth || size) * scale;
+        const h = (img.naturalHeight || size) * scale;
+        canvas.getContext("2d").drawImage(img, (size - w) / 2, (size - h) / 2, w, h);
+        URL.revokeObjectURL(url);
+        canvas.toBlob((blob) => {
+          if (!blob) { reject(new Error("Could not render this icon as PNG")); return; }
+          const a = document.createElement("a");
+          a.href = URL.createObjectURL(blob);
+          a.download = `${tile.dataset.path.split("/").pop().replace(/\.svg$/i, "")}-${size}.png`;
+          a.click();
+          setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+          resolve();
+        }, "image/png");
+      };
+      img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("Could not render this icon as PNG")); };
+      img.src = url;
+    });
+  }
+
+  /* ── panel ── */
+
+  const panel = document.createElement("aside");
+  panel.id = "icon-panel";
+  panel.hidden = true;
+  panel.setAttribute("aria-label", "Icon details");
+  document.body.append(panel);
+  let current = null;
+
+  function status(text, error = false) {
+    const el = panel.querySelector(".status");
+    if (!el) return;
+    el.textContent = text;
+    el.style.color = error ? "#c62828" : "";
+  }
+
+  function openPanel(tile) {
+    current = tile;
+    const d = tile.dataset;
+    const rows = [
+      ["Title",         d.title],
+      ["Original name", d.original],
+      ["AWS path",      d.source],
+      ["File",          `${root}/${d.path}`],
+      ["Kind",          d.kind],
+      ["AWS size",      d.size && `${d.size}px`],
+      ["Sizes built",   d.sizes && `${d.sizes} px`],
+    ].filter(([, v]) => v);
+
+    panel.innerHTML = `<button class="close" aria-label="Close">×</button>
+<div class="preview${tile.classList.contains("dark") ? " dark" : ""}"><img src="${esc(tile.querySelector("img").getAttribute("src"))}" alt=""></div>
+<h2>${esc(d.path.split("/").pop())}</h2>
+<dl>${rows.map(([k, v]) => `<dt>${k}</dt><dd>${esc(v)}</dd>`).join("")}</dl>
+<div class="actions">${ACTIONS.map(([k, label]) => `<button data-copy="${k}">Copy ${esc(label)}</button>`).join("")}</div>
+<div class="actions">${PNG_SIZES.map((s) => `<button data-png="${s}">PNG ${s}px</button>`).join("")}</div>
+<p class="status" role="status"></p>`;
+    panel.hidden = false;
+    panel.querySelector(".close").focus();
+  }
+
+  panel.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("button");
+    if (!btn || !current) return;
+    if (btn.classList.contains("close")) { panel.hidden = true; current.querySelector(".more")?.focus(); return; }
+    if (btn.dataset.png) {
+      downloadPng(current, Number(btn.dataset.png))
+        .then(() => status(`PNG ${btn.dataset.png}px downloaded`), (err) => status(err.message, true));
+      return;
+    }
+    const label = ACTIONS.find(([k]) => k === btn.dataset.copy)[1];
+    format(btn.dataset.copy, current)
+      .then((text) => navigator.clipboard.writeText(text))
+      .then(() => status(`Copied ${label}`), (err) => status(err.message || "Clipboard not available", true));
+  });
+
+  document.addEventListener("keydown", (ev) => {
+    if (ev.key === "Escape" && !panel.hidden) panel.hidden = true;
+  });
+
+  /* ── tiles (delegated, so tiles the grid draws while scrolling work too) ── */
+
+  const decorate = (tile) => {
+    if (tile.querySelector(".more")) return;
+    const btn = document.createElement("button");
+    btn.className = "more";
+    btn.type = "button";
+    btn.textContent = "⋯";
+    btn.setAttribute("aria-label", "Formats and details");
+    tile.append(btn);
+  };
+  document.querySelectorAll(".icon[data-path]").forEach(decorate);
+  new MutationObserver(() => document.querySelectorAll(".icon[data-path]").forEach(decorate))
+    .observe(document.body, { childList: true, subtree: true });
+
+  /* start loading a category's markup before the click that needs it */
+  const prefetch = (ev) => {
+    const tile = ev.target.closest?.(".icon[data-category]");
+    if (tile) loadBundle(tile.dataset.category).catch(() => {});
+  };
+  document.addEventListener("pointerover", prefetch);
+  document.addEventListener("focusin", prefetch);
+
+  /* tint a tile for a moment; a note (why a copy failed) shows as its tooltip meanwhile */
+  function flash(tile, background, ms, note) {
+    const title = tile.title;
+    tile.style.background = background;
+    if (note) tile.title = note;
+    setTimeout(() => { tile.style.background = ""; tile.title = title; }, ms);
+  }
+
+  document.addEventListener("click", (ev) => {
+    const tile = ev.target.closest(".icon[data-path]");
+    if (!tile || panel.contains(tile)) return;
+    if (ev.target.closest(".more")) { openPanel(tile); return; }
+    markup(tile).then((text) => navigator.clipboard.writeText(text))
+      .then(() => flash(tile, "#c8e6c9", 350), (err) => flash(tile, "#ffcdd2", 2500, err.message || "Clipboard not available"));
+  });
+})();
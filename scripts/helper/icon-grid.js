@@ -0,0 +1,97 @@
+/**
+ * icon-grid.js – browser script: the virtualised icon grid of the helper pages.
+ *
+ * Copied into aws-svg-helper/ by generate-helper-pages.js. Only the rows in
+ * or near the viewport exist in the DOM, so a page listing every icon stays
+ * as light as one listing a dozen. Tiles show an <img> of the icon file
+ * (icons/<path>, loaded lazily as the row scrolls in) instead of inline SVG,
+ * and carry the data-* attributes icon-actions.js reads.
+ *
+ *   const grid = AwsIconGrid.mount(document.getElementById("grid"), { detail: (e) => e.category });
+ *   grid.show(window.AWS_ICON_INDEX);
+ */
+
+(() => {
+  const TILE     = { width: 110, height: 118, gap: 16 };
+  const OVERSCAN = 4;                                  // rows kept above and below the viewport
+
+  const style = document.createElement("style");
+  style.textContent = `
+.vgrid{position:relative;}
+.vgrid>.icon{position:absolute;box-sizing:border-box;overflow:hidden;}
+.icon{cursor:pointer;border:1px solid #d0d0d0;border-radius:6px;padding:.5rem;text-align:center;transition:background-color .2s;}
+.icon:hover{background:#f5f5f5;}
+.icon img{display:block;margin:0 auto .25rem;width:48px;height:48px;}
+.icon span{display:-webkit-box;-webkit-line-clamp:2;-webkit-box-orient:vertical;overflow:hidden;font-size:.75rem;word-break:break-word;}
+.icon small{display:block;font-size:.7rem;color:#777;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;}
+.icon.dark{background:#1e1e1e;border-color:#3a3a3a;color:#eee;}
+.icon.dark:hover{background:#313131;}`;
+  document.head.append(style);
+
+  const esc = (s) => String(s).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[ch]));
+
+  const FIELDS = ["path", "category", "title", "original", "source", "kind", "size", "sizes"];
+  const data = (e) => FIELDS
+    .map((k) => [k, k === "sizes" ? e.sizes.join(", ") : e[k]])
+    .filter(([, v]) => v)
+    .map(([k, v]) => `data-${k}="${esc(v)}"`)
+    .join(" ");
+
+  const src = (e) => `icons/${e.path.split("/").map(encodeURIComponent).join("/")}`;
+
+  function tile(e, detail, box) {
+    const small = detail ? detail(e) : "";
+    return `<div class="icon${e.variant === "dark" ? " dark" : ""}" title="${esc(e.id)}" style="${box}" ${data(e)}>` +
+      `<img src="${src(e)}" alt="" width="48" height="48" loading="lazy" decoding="async">` +
+      `<span>${esc(e.name)}</span>${small ? `<small>${esc(small)}</small>` : ""}</div>`;
+  }
+
+  function mount(el, { detail = null } = {}) {
+    el.classList.add("vgrid");
+    let items = [];
+    let cols  = 1;
+    let drawn = "";
+    const rowH = TILE.height + TILE.gap;
+
+    function draw() {
+      const rows  = Math.ceil(items.length / cols);
+      const view  = -el.getBoundingClientRect().top;
+      const first = Math.max(0, Math.floor(view / rowH) - OVERSCAN);
+      const last  = Math.min(rows, Math.ceil((view + window.innerHeight) / rowH) + OVERSCAN);
+      const key   = `${first}:${last}:${cols}:${el.clientWidth}`;
+      if (key === drawn) return;
+      drawn = key;
+
+      const width = (el.clientWidth - TILE.gap * (cols - 1)) / cols;
+      const html  = [];
+      for (let n = first * cols; n < Math.min(items.length, last * cols); n += 1) {
+        const x = (n % cols) * (width + TILE.gap);
+        const y = Math.floor(n / cols) * rowH;
+        html.push(tile(items[n], detail, `left:${x}px;top:${y}px;width:${width}px;height:${TILE.height}px`));
+      }
+      el.innerHTML = html.join("");
+    }
+
+    function layout() {
+      cols = Math.max(1, Math.floor((el.clientWidth + TILE.gap) / (TILE.width + TILE.gap)));
+      el.style.height = `${Math.max(0, Math.ceil(items.length / cols) * rowH - TILE.gap)}px`;
+      draw();
+    }
+
+    let queued = false;
+    const schedule = () => {
+      if (queued) return;
+      queued = true;
+      requestAnimationFrame(() => { queued = false; draw(); });
+    };
+    window.addEventListener("scroll", schedule, { passive: true });
+    window.addEventListener("resize", schedule);
+    new ResizeObserver(layout).observe(el);
+
+    return {
+      show(list) { items = list; drawn = ""; layout(); },
+    };
+  }
+
+  window.AwsIconGrid = { mount };
+})();
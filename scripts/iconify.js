@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * iconify.js
+ *
+ * Converts ./aws-icons into one Iconify JSON icon set (./aws-icons-iconify.json)
+ * for Mermaid's registerIconPacks, Astro, Iconify-based UI kits…:
+ *   • icons       one { body, width, height } per SVG, named in Iconify's
+ *                 lower-case kebab form (Simple-Storage-Service_Bucket → simple-storage-service-bucket)
+ *   • categories  the top-level folders, each listing its icon names
+ *   • aliases     General-Icons-Light / -Dark pairs without size or variant:
+ *                 "alert" (light), "alert-light" and "alert-dark"
+ *
+ * Names repeated across folders get the folder in front (management-governance-compute-optimizer).
+ *
+ * Options:
+ *   -s | --source <dir>    icon root           (default: ./aws-icons)
+ *   -o | --out    <file>   icon set to write   (default: ./aws-icons-iconify.json)
+ *   -p | --prefix <name>   Iconify prefix      (default: aws)
+ *        --dry-run         preview only, no writes
+ */
+
+import fs   from "node:fs/promises";
+import fsc  from "node:fs";
+import path from "node:path";
+import { argv, exit } from "node:process";
+import { colour, guessKind, isDir, posix, svgInfo, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function cliCfg() {
+  const cfg = { source: config.paths.icons, out: config.paths.iconify, prefix: config.iconify.prefix, dryRun: false };
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-s":
+      case "--source": cfg.source = argv[++i]; break;
+      case "-o":
+      case "--out":    cfg.out    = argv[++i]; break;
+      case "-p":
+      case "--prefix": cfg.prefix = argv[++i]; break;
+      case "--dry-run": cfg.dryRun = true;      break;
+      default: console.error(`Unknown argument: ${argv[i]}`); exit(1);
+    }
+  }
+  if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(cfg.prefix ?? "")) {
+    console.error(`Invalid Iconify prefix: ${cfg.prefix} (lower-case letters, digits and single hyphens)`);
+    exit(1);
+  }
+  cfg.source = path.resolve(cfg.source);
+  cfg.out    = path.resolve(cfg.out);
+  return cfg;
+}
+const cfg = cliCfg();
+
+/* ── helpers ── */
+
+/* Iconify names: lower-case a-z0-9 words joined by single hyphens */
+const iconName = (s) => s.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join("-");
+
+/* "alert-48-dark" -> "alert": the name a light / dark pair shares */
+const pairName = (name) =>
+  name.split("-").filter((w) => !/^(?:light|dark|\d+)$/.test(w)).join("-");
+
+/* inner markup without <title> / <desc>, which Iconify adds itself where needed */
+const iconBody = (body) =>
+  body.replace(/<(title|desc)\b[^>]*>[\s\S]*?<\/\1>/gi, "").replace(/>\s+</g, "><").trim();
+
+async function loadOrigins() {
+  const p = path.join(cfg.source, "origins.json");
+  return fsc.existsSync(p) ? JSON.parse(await fs.readFile(p, "utf8")) : {};
+}
+
+function toIcon(info) {
+  const [left = 0, top = 0, w, h] = info.viewBox.split(/[\s,]+/).map(Number);
+  const icon = { body: iconBody(info.body), width: w || info.width, height: h || info.height };
+  if (left) icon.left = left;
+  if (top)  icon.top  = top;
+  return icon;
+}
+
+/* light / dark General icons -> "<base>", "<base>-light", "<base>-dark" aliases */
+function pairAliases(variants, taken) {
+  const aliases = {};
+  const add = (alias, parent) => {
+    if (!alias || taken.has(alias) || alias in aliases) return;
+    aliases[alias] = { parent };
+  };
+  for (const [base, v] of Object.entries(variants).sort(([a], [b]) => a.localeCompare(b))) {
+    add(base, v.light ?? v.dark);
+    if (v.light) add(`${base}-light`, v.light);
+    if (v.dark)  add(`${base}-dark`, v.dark);
+  }
+  return aliases;
+}
+
+/* ── main build ── */
+(async () => {
+  try {
+    if (!isDir(cfg.source)) { console.error(colour("red", `No source: ${cfg.source}`)); exit(1); }
+
+    console.log(colour("cyan", `Root   : ${cfg.source}`));
+    console.log(colour("cyan", `Out    : ${cfg.out}`));
+    console.log(colour("cyan", `Prefix : ${cfg.prefix}`));
+    console.log("");
+
+    const origins    = await loadOrigins();
+    const icons      = {};
+    const categories = {};
+    const variants   = {};
+    const sizes      = new Map();
+
+    for await (const svgPath of walk(cfg.source)) {
+      const rel  = posix(path.relative(cfg.source, svgPath));
+      const cat  = rel.includes("/") ? rel.split("/")[0] : null;
+      const data = await fs.readFile(svgPath, "utf8");
+      const info = svgInfo(data);
+      if (!info) { console.warn(colour("yellow", `Warning: no <svg> root, skipping ${rel}`)); continue; }
+
+      const base = iconName(path.basename(rel, path.extname(rel))) || "icon";
+      let name = base;
+      if (name in icons) name = iconName(`${cat ?? ""}-${base}`);
+      for (let n = 2; name in icons; n += 1) name = `${iconName(`${cat ?? ""}-${base}`)}-${n}`;
+      if (name !== base) console.warn(colour("yellow", `Name taken: ${rel} exported as ${name}`));
+
+      icons[name] = toIcon(info);
+      const key = `${icons[name].width}x${icons[name].height}`;
+      sizes.set(key, (sizes.get(key) ?? 0) + 1);
+      if (cat) (categories[cat] ??= []).push(name);
+
+      const kind = origins[rel]?.kind ?? guessKind(cat, data);
+      if (kind === "general-light" || kind === "general-dark")
+        (variants[pairName(name)] ??= {})[kind.slice("general-".length)] = name;
+    }
+
+    /* the most common size becomes the set default; icons only repeat it when they differ */
+    const [common] = [...sizes.entries()].sort((a, b) => b[1] - a[1])[0] ?? ["48x48"];
+    const [width, height] = common.split("x").map(Number);
+    for (const icon of Object.values(icons)) {
+      if (icon.width  === width)  delete icon.width;
+      if (icon.height === height) delete icon.height;
+    }
+
+    const aliases = pairAliases(variants, new Set(Object.keys(icons)));
+    const names   = Object.keys(icons).sort();
+    const set = {
+      prefix: cfg.prefix,
+      info: {
+        name:     config.iconify.name,
+        total:    names.length,
+        author:   { name: "Amazon Web Services", url: "https://aws.amazon.com/architecture/icons/" },
+        license:  { title: "AWS Architecture Icons terms", url: "https://aws.amazon.com/architecture/icons/" },
+        height,
+        category: "Logos",
+        palette:  true,
+      },
+      icons:      Object.fromEntries(names.map((n) => [n, icons[n]])),
+      aliases,
+      categories: Object.fromEntries(Object.entries(categories).sort(([a], [b]) => a.localeCompare(b))),
+      width,
+      height,
+    };
+
+    if (!cfg.dryRun) await fs.writeFile(cfg.out, `${JSON.stringify(set, null, 2)}\n`, "utf8");
+
+    console.log(colour("green",
+      `Iconify set ${cfg.dryRun ? "previewed" : "written"}: ${names.length} icons, ` +
+      `${Object.keys(aliases).length} aliases, ${Object.keys(categories).length} categories.`));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * integrity.js
+ *
+ * Records a SHA-256 hash of every icon file in ./aws-icons, as the pipeline
+ * left it, in aws-icons/integrity.json. With --verify it compares the tree
+ * against that record instead and lists every icon that was modified, added
+ * or deleted since, so a hand-edited colour or shape can't slip into a
+ * commit. `aws-icons verify` is shorthand for `aws-icons integrity --verify`.
+ *
+ * The root bookkeeping files (origins.json, rename-map.json, checksum.txt,
+ * category-report.json) and dotfiles are not covered. SVG line endings are
+ * normalised before hashing, so a checkout with CRLF line endings verifies.
+ *
+ * --verify exits 1 when anything differs or there is no record, 2 on a crash,
+ * so pre-commit hooks and CI can gate on it.
+ *
+ * Options:
+ *   -r | --root <dir>   Path to the icon set   (default: ./aws-icons)
+ *        --verify       Compare, don't write
+ *        --dry-run      Preview only           (no writes)
+ */
+
+import fs     from "node:fs/promises";
+import fsc    from "node:fs";
+import path   from "node:path";
+import crypto from "node:crypto";
+import { argv, exit } from "node:process";
+import { colour, posix, requireDir, walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function parseArgs() {
+  const opts = { root: config.paths.icons, verify: false, dryRun: false };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-r":
+      case "--root":
+        opts.root = argv[++i];
+        break;
+      case "--verify":
+        opts.verify = true;
+        break;
+      case "--dry-run":
+        opts.dryRun = true;
+        break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        exit(1);
+    }
+  }
+
+  opts.root = requireDir(opts.root, "Root directory");
+  return opts;
+}
+
+const cfg = parseArgs();
+
+/* ── helpers ── */
+const RECORD   = "integrity.json";
+const RESERVED = new Set([RECORD, "origins.json", "rename-map.json", "checksum.txt", "category-report.json"]);   // root bookkeeping files
+
+const covered = (fp) => {
+  const rel = path.relative(cfg.root, fp);
+  return !rel.split(path.sep).some((part) => part.startsWith(".")) && !RESERVED.has(rel);
+};
+
+async function hash(fp) {
+  let data = await fs.readFile(fp);
+  if (/\.svg$/i.test(fp)) data = data.toString("utf8").replace(/\r\n/g, "\n");
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/* path -> hash for every covered file, in name order */
+async function hashTree() {
+  const files = {};
+  for await (const fp of walk(cfg.root, covered)) files[posix(path.relative(cfg.root, fp))] = await hash(fp);
+  return files;
+}
+
+/* ── runner ── */
+(async () => {
+  try {
+    const fp = path.join(cfg.root, RECORD);
+    console.log(colour("cyan", `Root   : ${cfg.root}`));
+    console.log(colour("cyan", `Record : ${fp}`));
+    console.log(colour("cyan", `Mode   : ${cfg.verify ? "VERIFY" : cfg.dryRun ? "DRY-RUN" : "LIVE"}`));
+    console.log("");
+
+    const files = await hashTree();
+
+    if (!cfg.verify) {
+      if (!cfg.dryRun) await fs.writeFile(fp, `${JSON.stringify({ algorithm: "sha256", files }, null, 2)}\n`, "utf8");
+      console.log(colour("green", `Integrity record ${cfg.dryRun ? "previewed" : "written"}: ${Object.keys(files).length} icons.`));
+      return;
+    }
+
+    if (!fsc.existsSync(fp)) {
+      console.error(colour("red", `No ${RECORD} in ${cfg.root} (run \`aws-icons integrity\` or \`aws-icons update\`)`));
+      exit(1);
+    }
+    const recorded = JSON.parse(await fs.readFile(fp, "utf8")).files ?? {};
+
+    const modified = Object.keys(files).filter((rel) => rel in recorded && recorded[rel] !== files[rel]);
+    const added    = Object.keys(files).filter((rel) => !(rel in recorded));
+    const deleted  = Object.keys(recorded).filter((rel) => !(rel in files));
+
+    for (const rel of modified) console.log(`${colour("red", "modified")} ${rel}`);
+    for (const rel of added)    console.log(`${colour("red", "added   ")} ${rel}`);
+    for (const rel of deleted)  console.log(`${colour("red", "deleted ")} ${rel}`);
+
+    const failed = modified.length + added.length + deleted.length > 0;
+    console.log(colour(failed ? "red" : "green", failed
+      ? `\nIntegrity check failed – ${modified.length} modified, ${added.length} added, ${deleted.length} deleted ` +
+        `since the last build (${Object.keys(recorded).length} icons recorded).`
+      : `Integrity check passed – ${Object.keys(files).length} icons match ${RECORD}.`));
+    if (failed) exit(1);
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
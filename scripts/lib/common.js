@@ -0,0 +1,124 @@
+/**
+ * Helpers shared by every pipeline script: terminal colour, directory walks,
+ * the "does this folder exist" check each CLI runs before starting, the
+ * icon-kind guess used when origins.json has no record, the AWS size read
+ * from a package path, and the SVG facts (size, title, body) the exporters share.
+ */
+
+import fs   from "node:fs/promises";
+import fsc  from "node:fs";
+import path from "node:path";
+import { exit } from "node:process";
+
+export const colour = (c, t) =>
+  `\u001b[${{ red:31, green:32, yellow:33, cyan:36 }[c]}m${t}\u001b[0m`;
+
+export const posix  = (p) => p.split(path.sep).join("/");
+export const isDir  = (p) => fsc.existsSync(p) && fsc.statSync(p).isDirectory();
+export const ensure = (d) => fs.mkdir(d, { recursive: true });
+
+/* "RDS_Blue-Green" -> "RDSBlueGreen": words capitalised, separators dropped */
+export const pascalCase = (s) =>
+  s.split(/[-_\s]+/).filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1)).join("");
+
+/* every file below dir in name order, optionally filtered by keep(path) */
+export async function* walk(dir, keep = () => true) {
+  const entries = (await fs.readdir(dir, { withFileTypes: true }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const e of entries) {
+    const p = path.join(dir, e.name);
+    if (e.isDirectory()) yield* walk(p, keep);
+    else if (e.isFile() && keep(p)) yield p;
+  }
+}
+
+export const walkSvg = (dir) => walk(dir, (p) => p.toLowerCase().endsWith(".svg"));
+
+/* resolve dir and exit(1) with "<label> not found" unless it is a directory */
+export function requireDir(dir, label = "Directory") {
+  const abs = path.resolve(dir);
+  if (!isDir(abs)) {
+    console.error(`${label} not found: ${abs}`);
+    exit(1);
+  }
+  return abs;
+}
+
+/* anything outside [A-Za-z0-9_-] becomes "-" so ids work in CSS selectors and URLs */
+export const safeId = (s) => s.replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "");
+
+/* folder name wins, then the AWS group id ("Icon-Architecture/…" vs "Icon-Resource/…") */
+export function guessKind(category, data) {
+  switch (category) {
+    case "Architecture-Group":  return "group";
+    case "Categories":          return "category";
+    case "General-Icons-Light": return "general-light";
+    case "General-Icons-Dark":  return "general-dark";
+  }
+  /* svg-ids.js may have scoped the id since: "Compute-Lambda__Icon-Architecture-48-Arch_…" */
+  if (/id="(?:[\w-]+?__)?Icon-Resource[/-]/.test(data)) return "resource";
+  if (/id="(?:[\w-]+?__)?Icon-Architecture(?:\/|-(?!BG-))/.test(data)) return "service";
+  return null;
+}
+
+/* the pixel sizes AWS ships; a trailing "_48" (before "_Light" / "_Dark") is one of them */
+const SIZE_RX = /[-_](16|32|48|64)(?=(?:[-_](?:light|dark))?$)/i;
+
+const stem = (p) => path.posix.basename(posix(p)).replace(/\.[^.]+$/, "");
+
+/*
+ * The size an AWS package path is drawn at, from its filename ("Arch_Lambda_32.svg",
+ * "Alert_48_Light.svg") or else its folder (".../64/...", "Res_48_Dark/..."); null if neither says.
+ */
+export function awsSize(p) {
+  const hit = stem(p).match(SIZE_RX) ??
+    posix(p).split("/").slice(0, -1).reverse().map((d) => d.match(/(?:^|_)(16|32|48|64)(?:_|$)/)).find(Boolean);
+  return hit ? Number(hit[1]) : null;
+}
+
+/* "Arch_Amazon-Athena_32.svg" -> "Arch_Amazon-Athena": the name every size of an icon shares */
+export const sizelessName = (p) => stem(p).replace(SIZE_RX, "");
+
+/*
+ * Every size built for each icon, from an origins.json ledger: final path ->
+ * sorted sizes of the icons in the same folder that share its sizeless AWS name.
+ */
+export function sizesByIcon(origins) {
+  const key    = (rel, o) => `${path.posix.dirname(rel)}/${sizelessName(o.source).toLowerCase()}`;
+  const groups = new Map();
+  for (const [rel, o] of Object.entries(origins)) {
+    if (!o.size) continue;
+    const k = key(rel, o);
+    groups.set(k, [...new Set([...(groups.get(k) ?? []), o.size])].sort((a, b) => a - b));
+  }
+  return Object.fromEntries(Object.entries(origins)
+    .filter(([, o]) => o.size)
+    .map(([rel, o]) => [rel, groups.get(key(rel, o))]));
+}
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/* text content of an XML node → plain text (predefined and numeric entities) */
+const unescapeXml = (s) =>
+  s.replace(/&(?:#(\d+)|#x([\da-f]+)|(amp|lt|gt|quot|apos));/gi, (ent, dec, hex, name) =>
+    dec ? String.fromCodePoint(Number(dec)) : hex ? String.fromCodePoint(Number.parseInt(hex, 16)) : XML_ENTITIES[name.toLowerCase()] ?? ent);
+
+/*
+ * Root attributes, size, <title> and inner markup of an SVG string, for the
+ * exporters that re-wrap icons (draw.io, Iconify, Excalidraw…). Size falls
+ * back to the viewBox when width / height are missing; the title is plain
+ * text, entities decoded, so callers escape it once for their own format.
+ */
+export function svgInfo(data) {
+  const m = data.match(/<svg\b([^>]*)>([\s\S]*)<\/svg>/i);
+  if (!m) return null;
+
+  const attrs = {};
+  for (const [, k, v] of m[1].matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) attrs[k] = v;
+  const box    = attrs.viewBox?.trim().split(/[\s,]+/).map(Number) ?? [];
+  const width  = Number.parseFloat(attrs.width)  || box[2] || 0;
+  const height = Number.parseFloat(attrs.height) || box[3] || 0;
+  const title  = unescapeXml(m[2].match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1].trim() ?? "") || null;
+
+  return { attrs, width, height, viewBox: attrs.viewBox ?? `0 0 ${width} ${height}`, title, body: m[2].trim() };
+}
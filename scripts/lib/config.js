@@ -0,0 +1,139 @@
+/**
+ * Project configuration shared by the aws-icons CLI and every pipeline script.
+ *
+ * Looks for aws-icons.config.mjs, then aws-icons.config.json, in the working
+ * directory (or the file named by AWS_ICONS_CONFIG) and merges it over the
+ * defaults below. Paths are resolved against the config file's folder;
+ * command-line flags still override whatever the config says.
+ */
+
+import fs   from "node:fs/promises";
+import fsc  from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { cwd, env } from "node:process";
+
+export const CONFIG_FILES = ["aws-icons.config.mjs", "aws-icons.config.json"];
+
+/* pipeline order; "update" runs the enabled ones in this order */
+export const STEPS = [
+  "download", "restructure", "rename", "optimise", "ids", "validate", "integrity", "mono", "raster", "sprites",
+  "components", "drawio", "iconify", "excalidraw", "manifest", "changelog", "helper",
+];
+
+/* steps left out of the default "steps" list; enable them in the config */
+export const OPT_IN = ["mono", "raster"];
+
+export const DEFAULTS = {
+  paths: {
+    raw:        "raw-aws-icons",
+    icons:      "aws-icons",
+    helper:     "aws-svg-helper",
+    sprites:    "aws-icons-sprites",
+    components: "aws-icons-components",
+    drawio:     "aws-icons-drawio",
+    iconify:    "aws-icons-iconify.json",
+    excalidraw: "aws-icons-excalidraw",
+    mono:       "aws-icons-mono",
+    raster:     "aws-icons-raster",
+    validation: "aws-icons-validation.json",
+    usage:      "aws-icons-usage.json",
+    manifest:   "icons.json",
+    changelog:  "aws-icons-changelog",
+    snapshot:   ".aws-icons-snapshot",
+    staging:    ".aws-icons-staging",
+    previous:   ".aws-icons-previous",
+  },
+  sizes:      ["48"],
+  formats:    ["svg"],
+  naming:     "clean",
+  aliases:    { appintegration: "applicationintegration", iot: "internetofthings" },
+  strict:     false,
+  steps:      STEPS.filter((s) => !OPT_IN.includes(s)),
+  download:   { page: null, url: null, zip: null, dir: null, timeout: 60000, retries: 3 },
+  optimise:   { steps: null, precision: 3 },
+  components: { frameworks: ["react"], package: "aws-icons-components", version: "0.0.0" },
+  iconify:    { prefix: "aws", name: "AWS Architecture Icons" },
+  validate:   { strip: false },
+  a11y:       { descriptions: null, decorative: false },
+  raster:     { sizes: [48], scales: [1, 2], webp: false, quality: 90 },
+  changelog:  { html: false },
+  serve:      { host: "127.0.0.1", port: 4173 },
+  usage:      { attribution: "Amazon Web Services|AWS Architecture Icons" },
+};
+
+function findConfig() {
+  if (env.AWS_ICONS_CONFIG) {
+    const fp = path.resolve(env.AWS_ICONS_CONFIG);
+    if (!fsc.existsSync(fp)) throw new Error(`Config file not found: ${fp}`);
+    return fp;
+  }
+  for (const name of CONFIG_FILES) {
+    const fp = path.resolve(cwd(), name);
+    if (fsc.existsSync(fp)) return fp;
+  }
+  return null;
+}
+
+async function readConfig(fp) {
+  if (fp.endsWith(".json")) return JSON.parse(await fs.readFile(fp, "utf8"));
+  const mod = await import(pathToFileURL(fp).href);
+  return typeof mod.default === "function" ? await mod.default() : mod.default;
+}
+
+/* keys that were renamed; the old name is still read, with a warning */
+const RENAMED = { size: "sizes" };
+
+function validate(config, fp) {
+  const unknown = Object.keys(config).filter((k) => !(k in DEFAULTS) && !(k in RENAMED));
+  if (unknown.length) console.warn(`Warning: unknown key(s) in ${fp}: ${unknown.join(", ")}`);
+  for (const [old, now] of Object.entries(RENAMED))
+    if (old in config) console.warn(`Warning: "${old}" in ${fp} is now "${now}"`);
+
+  const badSteps = (config.steps ?? []).filter((s) => !STEPS.includes(s));
+  if (badSteps.length) throw new Error(`Unknown step(s) in ${fp}: ${badSteps.join(", ")} (known: ${STEPS.join(", ")})`);
+}
+
+/* an alias table file: { "<architecture slug>": "<resource slug>" } */
+export async function readAliases(fp) {
+  if (!fsc.existsSync(fp)) throw new Error(`Alias file not found: ${fp}`);
+  const table = JSON.parse(await fs.readFile(fp, "utf8"));
+  if (!table || typeof table !== "object" || Array.isArray(table))
+    throw new Error(`Alias file must hold one JSON object: ${fp}`);
+  return table;
+}
+
+/* defaults <- config file; nested objects merge one level deep */
+export async function loadConfig() {
+  const file = findConfig();
+  const user = file ? (await readConfig(file)) ?? {} : {};
+  if (file) validate(user, file);
+
+  const config = { ...DEFAULTS, ...user, file };
+  for (const key of ["paths", "download", "optimise", "components", "iconify", "validate", "a11y", "raster", "changelog", "serve", "usage"])
+    config[key] = { ...DEFAULTS[key], ...user[key] };
+
+  for (const [old, now] of Object.entries(RENAMED)) {
+    if (old in user && !(now in user)) config[now] = user[old];
+    delete config[old];
+  }
+
+  config.sizes   = [config.sizes].flat().flatMap((x) => String(x).split(",")).map((x) => x.trim()).filter(Boolean);
+  config.formats = [config.formats].flat().map((x) => String(x).trim().toLowerCase());
+  config.steps   = STEPS.filter((s) => config.steps.includes(s));
+
+  const base = file ? path.dirname(file) : cwd();
+  config.paths = Object.fromEntries(
+    Object.entries(config.paths).map(([k, v]) => [k, path.resolve(base, v)]),
+  );
+  for (const k of ["zip", "dir"])
+    if (config.download[k]) config.download[k] = path.resolve(base, config.download[k]);
+  if (config.a11y.descriptions) config.a11y.descriptions = path.resolve(base, config.a11y.descriptions);
+
+  /* "aliases" may name a JSON file; entries merge over the built-in ones and null drops one */
+  const aliases = typeof user.aliases === "string"
+    ? await readAliases(path.resolve(base, user.aliases))
+    : user.aliases;
+  config.aliases = Object.fromEntries(Object.entries({ ...DEFAULTS.aliases, ...aliases }).filter(([, v]) => v));
+  return config;
+}
@@ -0,0 +1,41 @@
+/**
+ * Naming rules shared by rename.js (file names), svg-optimise.js (<title>
+ * text) and validate.js, which checks that an icon's title and filename
+ * still agree.
+ */
+
+import { pascalCase } from "./common.js";
+
+/* naming strategies: cleaned base name -> final base name, plus the collision separator */
+const words = (s) => s.split(/[-_\s]+/).filter(Boolean);
+
+export const NAMING = {
+  clean:  { apply: (s) => s,                                sep: "-" },
+  kebab:  { apply: (s) => words(s).join("-").toLowerCase(), sep: "-" },
+  snake:  { apply: (s) => words(s).join("_").toLowerCase(), sep: "_" },
+  pascal: { apply: pascalCase,                              sep: "" },
+};
+
+/* the AWS size suffix rename.js strips (or keeps, for multi-size builds) */
+export const SIZE_SUFFIX = /_(?:16|32|48|64)$/i;
+
+/* prefixes, brands and (unless keepSize) the size suffix off an AWS base name */
+export function stripAws(base, keepSize = false) {
+  return base
+    /* 1 - prefixes */           .replace(/^(?:Arch[-_]Category[-_]|Arch[-_]|Res[-_])/i, "")
+    /* 2 - brands  */           .replace(/Amazon|AWS/gi, "")
+    /* 3 - sizes   */           .replace(SIZE_SUFFIX, (m) => (keepSize ? m : ""))
+    /* 4 - dedupe  */           .replace(/[-_]{2,}/g, "_")
+    /* 5 - trim    */           .replace(/^[-_]+|[-_]+$/g, "");
+}
+
+/* <title> text: last path segment, no prefixes or size suffix, no stray separators */
+export function cleanTitle(raw) {
+  let s = raw;
+  if (s.includes("/")) s = s.split("/").pop();      // last path segment
+  s = s.replace(/^(?:Arch_|Res_)/i, "");            // prefixes
+  s = s.replace(/_\d+$/i, "");                      // size suffixes
+  s = s.replace(/__+/g, "_");                       // doubles
+  s = s.replace(/^[-_]+|[-_]+$/g, "");              // trim
+  return s || raw;
+}
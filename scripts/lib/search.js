@@ -0,0 +1,128 @@
+/**
+ * Search support for the helper site: the keywords stored with each icon in
+ * the generated index, the fuzzy scorer that ranks them, and the same search
+ * on the server side for `aws-icons serve`.
+ *
+ * fuzzyScore is also shipped to the browser verbatim (via toString()), so it
+ * must stay self-contained: no imports, no closures over module state.
+ */
+
+import fs   from "node:fs/promises";
+import fsc  from "node:fs";
+import path from "node:path";
+
+/*
+ * Common AWS abbreviations, keyed by the phrase they stand for. Icons whose
+ * words contain the phrase get the abbreviation as a keyword and vice versa,
+ * so "s3" finds Simple-Storage-Service and "elastic compute" finds EC2.
+ */
+export const ABBREVIATIONS = {
+  "api gateway":                      ["apigw"],
+  "application load balancer":        ["alb"],
+  "certificate manager":              ["acm"],
+  "cloud development kit":            ["cdk"],
+  "command line interface":           ["cli"],
+  "database migration service":       ["dms"],
+  "elastic block store":              ["ebs"],
+  "elastic compute cloud":            ["ec2"],
+  "elastic container registry":       ["ecr"],
+  "elastic container service":        ["ecs"],
+  "elastic file system":              ["efs"],
+  "elastic kubernetes service":       ["eks"],
+  "elastic load balancing":           ["elb"],
+  "elastic map reduce":               ["emr"],
+  "gateway load balancer":            ["gwlb"],
+  "identity and access management":   ["iam"],
+  "identity access management":       ["iam"],
+  "internet of things":               ["iot"],
+  "key management service":           ["kms"],
+  "managed streaming for apache kafka": ["msk"],
+  "managed workflows for apache airflow": ["mwaa"],
+  "nat gateway":                      ["nat"],
+  "network load balancer":            ["nlb"],
+  "quantum ledger database":          ["qldb"],
+  "relational database service":      ["rds"],
+  "simple email service":             ["ses"],
+  "simple notification service":      ["sns"],
+  "simple queue service":             ["sqs"],
+  "simple storage service":           ["s3"],
+  "step functions":                   ["sfn"],
+  "systems manager":                  ["ssm"],
+  "virtual private cloud":            ["vpc"],
+  "web application firewall":         ["waf"],
+};
+
+const words = (s) => s.toLowerCase().split(/[^a-z0-9.]+/).filter(Boolean);
+
+/* abbreviations and expansions that apply to an icon name */
+export function searchKeywords(...texts) {
+  const have = ` ${texts.flatMap((t) => (t ? words(t) : [])).join(" ")} `;
+  const out  = new Set();
+  for (const [phrase, abbrs] of Object.entries(ABBREVIATIONS)) {
+    if (have.includes(` ${phrase} `)) abbrs.forEach((a) => out.add(a));
+    if (abbrs.some((a) => have.includes(` ${a} `))) out.add(phrase);
+  }
+  return [...out].sort();
+}
+
+/*
+ * Ranks an entry ({ name, title, category, keywords }) against a query; 0
+ * means no match. Every query word has to match somewhere: a whole word
+ * scores highest, then a word prefix, a substring, and finally the query's
+ * letters appearing in order within one word (so "dynmo" still finds DynamoDB).
+ */
+export function fuzzyScore(entry, query) {
+  const split = (s) => String(s || "").toLowerCase().split(/[^a-z0-9.]+/).filter(Boolean);
+  const terms = split(query);
+  if (!terms.length) return 1;
+
+  const fields = [
+    [split(entry.name), 3],
+    [split(entry.title), 2],
+    [(entry.keywords || []).flatMap(split), 2],
+    [split(entry.category), 1],
+  ];
+
+  const subsequence = (term, word) => {
+    let i = 0;
+    for (const ch of word) if (ch === term[i]) i += 1;
+    return i === term.length;
+  };
+
+  let total = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [list, weight] of fields) {
+      for (const word of list) {
+        const s = word === term ? 8
+          : word.startsWith(term) ? 5
+          : word.includes(term) ? 3
+          : term.length > 2 && subsequence(term, word) ? 1
+          : 0;
+        best = Math.max(best, s * weight);
+      }
+    }
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+}
+
+/* the records of a built helper site (its search-index.js), or null when there is none */
+export async function readIndex(dir) {
+  const fp = path.join(dir, "search-index.js");
+  if (!fsc.existsSync(fp)) return null;
+  const js = await fs.readFile(fp, "utf8");
+  return JSON.parse(js.slice(js.indexOf("=") + 1).trim().replace(/;$/, ""));
+}
+
+/* search.html's filters and ranking: best match first, then shorter and alphabetical ids */
+export function searchIcons(entries, { q = "", category = "", kind = "", variant = "", size = "" } = {}) {
+  return entries
+    .filter((e) => (!category || e.category === category) && (!kind || e.kind === kind) &&
+                   (!variant || e.variant === variant) && (!size || e.size === Number(size)))
+    .map((e) => [e, fuzzyScore(e, q)])
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1] || a[0].id.length - b[0].id.length || a[0].id.localeCompare(b[0].id))
+    .map(([e]) => e);
+}
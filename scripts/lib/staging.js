@@ -0,0 +1,253 @@
+/**
+ * Transactional runs for `aws-icons update`.
+ *
+ * Every step works against copies under paths.staging, driven by a generated
+ * config that points all paths there. Only when every step succeeds are the
+ * staged outputs swapped into place, one rename each; whatever they replace
+ * moves to paths.previous so `aws-icons rollback` can swap it back.
+ */
+
+import fs     from "node:fs/promises";
+import fsc    from "node:fs";
+import path   from "node:path";
+import crypto from "node:crypto";
+import { posix, walk } from "./common.js";
+
+/* which config.paths entries each step writes, reads, and which step builds them from scratch */
+const WRITES = {
+  download:    ["raw"],
+  restructure: ["icons"],
+  rename:      ["icons"],
+  optimise:    ["icons"],
+  ids:         ["icons"],
+  validate:    ["validation", "icons"],
+  integrity:   ["icons"],
+  mono:        ["mono"],
+  raster:      ["raster"],
+  sprites:     ["sprites"],
+  components:  ["components"],
+  drawio:      ["drawio"],
+  iconify:     ["iconify"],
+  excalidraw:  ["excalidraw"],
+  manifest:    ["manifest"],
+  changelog:   ["changelog", "snapshot"],
+  helper:      ["helper"],
+};
+
+const READS = {
+  restructure: ["raw"],
+  rename:      ["icons"],
+  optimise:    ["icons"],
+  ids:         ["icons"],
+  validate:    ["icons"],
+  integrity:   ["icons"],
+  mono:        ["icons"],
+  raster:      ["icons"],
+  sprites:     ["icons"],
+  components:  ["icons"],
+  drawio:      ["icons"],
+  iconify:     ["icons"],
+  excalidraw:  ["icons"],
+  manifest:    ["icons"],
+  changelog:   ["icons", "snapshot"],
+  helper:      ["icons"],
+};
+
+/* raster is missing on purpose: it only re-renders changed icons, so it starts from the live copy */
+const CREATOR = {
+  raw:        "download",
+  icons:      "restructure",
+  sprites:    "sprites",
+  components: "components",
+  drawio:     "drawio",
+  iconify:    "iconify",
+  excalidraw: "excalidraw",
+  mono:       "mono",
+  validation: "validate",
+  manifest:   "manifest",
+  changelog:  "changelog",
+  helper:     "helper",
+};
+
+const BUILD_FILE = "build.json";
+
+const exists = (p) => fsc.existsSync(p);
+
+/* where an output sits inside staging / previous: named after its paths key, so two
+   outputs that share a basename in different folders never collide */
+const slot = (dir, key, p) => path.join(dir, `${key}${path.extname(p)}`);
+
+/* rename, falling back to copy + delete across devices */
+async function move(src, dst) {
+  try {
+    await fs.rename(src, dst);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    await fs.cp(src, dst, { recursive: true });
+    await fs.rm(src, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Prepares paths.staging for the given steps and writes the config the
+ * step scripts will run with. Live outputs a step only modifies (or reads)
+ * are copied in first; outputs a step rebuilds from scratch start empty.
+ */
+export async function createStaging(config, { force = false } = {}) {
+  const root = config.paths.staging;
+  await fs.rm(root, { recursive: true, force: true });
+  await fs.mkdir(root, { recursive: true });
+
+  const live   = {};
+  const staged = {};
+  for (const [key, p] of Object.entries(config.paths)) {
+    if (key === "staging" || key === "previous") continue;
+    live[key]   = p;
+    staged[key] = slot(root, key, p);
+  }
+
+  const steps   = config.steps;
+  const touched = [...new Set(steps.flatMap((s) => WRITES[s] ?? []))];
+  const needed  = new Set([...touched, ...steps.flatMap((s) => READS[s] ?? [])]);
+
+  for (const key of needed) {
+    if (steps.includes(CREATOR[key]) || !exists(live[key])) continue;
+    await fs.cp(live[key], staged[key], { recursive: true });
+  }
+
+  /* let download.js compare against the live checksum unless a rebuild is forced */
+  const liveSum = path.join(live.icons, "checksum.txt");
+  if (steps.includes("download") && !force && exists(liveSum) && !exists(path.join(staged.icons, "checksum.txt"))) {
+    await fs.mkdir(staged.icons, { recursive: true });
+    await fs.copyFile(liveSum, path.join(staged.icons, "checksum.txt"));
+  }
+
+  const stagedConfig = { ...config, paths: { ...config.paths, ...staged } };
+  delete stagedConfig.file;
+  const configFile = path.join(root, "aws-icons.config.json");
+  await fs.writeFile(configFile, `${JSON.stringify(stagedConfig, null, 2)}\n`, "utf8");
+
+  return { root, configFile, live, staged, touched };
+}
+
+const writeRecord = (prev, outputs) => fs.writeFile(
+  path.join(prev, BUILD_FILE),
+  `${JSON.stringify({ committed: new Date().toISOString(), outputs }, null, 2)}\n`,
+  "utf8",
+);
+
+/* puts back what a failed commit already swapped; new outputs return to staging for inspection */
+async function undoSwaps(outputs, staging) {
+  for (const [key, { live, backup }] of Object.entries(outputs).reverse()) {
+    const src = staging.staged[key];
+    if (exists(live)) {
+      if (exists(src)) await fs.rm(live, { recursive: true, force: true });   // a copy cut short
+      else await move(live, src);
+    }
+    if (backup && exists(backup)) await move(backup, live);
+  }
+}
+
+/**
+ * Swaps every staged output into place. The outputs it replaces move to
+ * paths.previous, which only ever holds one build. build.json there is
+ * updated before each swap, so `aws-icons rollback` can still undo a commit
+ * that was killed halfway; when a swap throws, the ones before it are put
+ * back and the earlier previous build is restored.
+ */
+export async function commitStaging(config, staging) {
+  const prev = config.paths.previous;
+  const old  = `${prev}.old`;
+  await fs.rm(old, { recursive: true, force: true });
+  if (exists(prev)) await move(prev, old);
+  await fs.mkdir(prev, { recursive: true });
+
+  const outputs = {};
+  try {
+    for (const key of staging.touched) {
+      const src = staging.staged[key];
+      const dst = staging.live[key];
+      if (!exists(src)) continue;                   // e.g. raw, removed again by restructure
+
+      const backup = slot(prev, key, dst);
+      outputs[key] = { live: dst, backup: exists(dst) ? backup : null };
+      await writeRecord(prev, outputs);
+      if (outputs[key].backup) await move(dst, backup);
+      await fs.mkdir(path.dirname(dst), { recursive: true });
+      await move(src, dst);
+    }
+  } catch (err) {
+    await undoSwaps(outputs, staging);
+    await fs.rm(prev, { recursive: true, force: true });
+    if (exists(old)) await move(old, prev);
+    throw err;
+  }
+
+  await fs.rm(old, { recursive: true, force: true });
+  await fs.rm(staging.root, { recursive: true, force: true });
+  return Object.keys(outputs);
+}
+
+/**
+ * Swaps the outputs kept in paths.previous back into place. What they
+ * replace becomes the new "previous", so a second rollback re-applies it.
+ */
+export async function rollback(config) {
+  const prev = config.paths.previous;
+  const fp   = path.join(prev, BUILD_FILE);
+  if (!exists(fp)) throw new Error(`No previous build to restore (${fp} not found)`);
+
+  const { outputs } = JSON.parse(await fs.readFile(fp, "utf8"));
+  const swap = path.join(prev, ".swap");
+  await fs.rm(swap, { recursive: true, force: true });
+  await fs.mkdir(swap, { recursive: true });
+
+  const next = {};
+  for (const [key, { live, backup }] of Object.entries(outputs)) {
+    if (backup && !exists(backup)) continue;        // a commit killed before this swap: live is still the old one
+    const parked = slot(swap, key, live);
+    const had    = exists(live);
+    if (had) await move(live, parked);
+    if (backup) await move(backup, live);
+    next[key] = { live, backup: had ? slot(prev, key, live) : null };
+  }
+
+  /* the outputs just replaced become the new previous build */
+  for (const [key, { live }] of Object.entries(next)) {
+    const parked = slot(swap, key, live);
+    if (exists(parked)) await move(parked, slot(prev, key, live));
+  }
+  await fs.rm(swap, { recursive: true, force: true });
+  await writeRecord(prev, next);
+  return Object.keys(next);
+}
+
+/*
+ * relative path -> sha256 for every file below p; a single-file output is
+ * keyed "." so its live and staged copies compare despite their names
+ */
+async function hashTree(p) {
+  const out = {};
+  if (!exists(p)) return out;
+  const hash = async (fp) => crypto.createHash("sha256").update(await fs.readFile(fp)).digest("hex");
+  if (!(await fs.stat(p)).isDirectory()) { out["."] = await hash(p); return out; }
+  for await (const fp of walk(p)) out[posix(path.relative(p, fp))] = await hash(fp);
+  return out;
+}
+
+/* per output: files that a commit would add, remove or change */
+export async function previewStaging(staging) {
+  const report = {};
+  for (const key of staging.touched) {
+    if (!exists(staging.staged[key])) continue;
+    const before = await hashTree(staging.live[key]);
+    const after  = await hashTree(staging.staged[key]);
+    report[key] = {
+      path:    staging.live[key],
+      added:   Object.keys(after).filter((f) => !(f in before)).length,
+      removed: Object.keys(before).filter((f) => !(f in after)).length,
+      changed: Object.keys(after).filter((f) => f in before && before[f] !== after[f]).length,
+    };
+  }
+  return report;
+}
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Writes a machine-readable index of the icon library (icons.json), one
+ * record per SVG: final id / path, category folder, original AWS filename,
+ * cleaned <title>, viewBox / width / height, icon kind, AWS size and a content hash.
+ *
+ * Original names come from the origins.json ledger that restructure.js
+ * writes and rename.js keeps in step; icons missing from it get null. The
+ * ledger's sizes also give each record "sizes", every size built for that
+ * icon, and "fallback" when the icon only came in a size that wasn't asked for.
+ *
+ * Options:
+ *   -r | --root <dir>   Path to the icon set   (default: ./aws-icons)
+ *   -o | --out  <file>  Manifest destination   (default: ./icons.json)
+ *        --dry-run      Preview only           (no writes)
+ */
+
+import fs     from "node:fs/promises";
+import path   from "node:path";
+import crypto from "node:crypto";
+import { argv, exit } from "node:process";
+import { colour, guessKind, posix, requireDir, sizesByIcon, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function parseArgs() {
+  const opts = { root: config.paths.icons, out: config.paths.manifest, dryRun: false };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-r":
+      case "--root":
+        opts.root = argv[++i];
+        break;
+      case "-o":
+      case "--out":
+        opts.out = argv[++i];
+        break;
+      case "--dry-run":
+        opts.dryRun = true;
+        break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        exit(1);
+    }
+  }
+
+  opts.root = requireDir(opts.root, "Root directory");
+  opts.out  = path.resolve(opts.out);
+  return opts;
+}
+
+const cfg = parseArgs();
+
+/* ── helpers ── */
+async function readJson(fp, fallback) {
+  try   { return JSON.parse(await fs.readFile(fp, "utf8")); }
+  catch { return fallback; }
+}
+
+/* attributes of the root <svg> element */
+function svgAttrs(data) {
+  const m     = data.match(/<svg\b([^>]*)>/i);
+  const attrs = {};
+  if (!m) return attrs;
+  for (const [, k, v] of m[1].matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) attrs[k] = v;
+  return attrs;
+}
+
+const num = (v) => (v === undefined ? null : Number.parseFloat(v));
+
+async function describe(fp, origins, sizes) {
+  const data     = await fs.readFile(fp, "utf8");
+  const rel      = posix(path.relative(cfg.root, fp));
+  const category = rel.includes("/") ? rel.split("/")[0] : null;
+  const attrs    = svgAttrs(data);
+  const title    = data.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const origin   = origins[rel];
+
+  return {
+    id:       rel.replace(/\.svg$/i, ""),
+    path:     rel,
+    category,
+    name:     path.basename(rel, path.extname(rel)),
+    original: origin ? path.posix.basename(origin.source) : null,
+    source:   origin ? origin.source : null,
+    title:    title ? title[1].trim() : null,
+    viewBox:  attrs.viewBox ?? null,
+    width:    num(attrs.width),
+    height:   num(attrs.height),
+    kind:     origin?.kind ?? guessKind(category, data),
+    size:     origin?.size ?? null,
+    sizes:    sizes[rel] ?? [],
+    fallback: Boolean(origin?.fallback),
+    hash:     `sha256-${crypto.createHash("sha256").update(data).digest("hex")}`,
+  };
+}
+
+/* ── runner ── */
+(async () => {
+  try {
+    console.log(colour("cyan", `Root : ${cfg.root}`));
+    console.log(colour("cyan", `Out  : ${cfg.out}`));
+    console.log(colour("cyan", `Mode : ${cfg.dryRun ? "DRY-RUN" : "LIVE"}`));
+    console.log("");
+
+    const origins = await readJson(path.join(cfg.root, "origins.json"), {});
+    let checksum  = null;
+    try { checksum = (await fs.readFile(path.join(cfg.root, "checksum.txt"), "utf8")).trim(); }
+    catch {/* optional */}
+
+    const sizes = sizesByIcon(origins);
+    const tasks = [];
+    for await (const svg of walk(cfg.root)) tasks.push(describe(svg, origins, sizes));
+    const icons = (await Promise.all(tasks)).sort((a, b) => a.path.localeCompare(b.path));
+
+    const untracked = icons.filter((i) => !i.original).length;
+    if (untracked)
+      console.log(colour("yellow", `${untracked} icon(s) have no origin record; original name left null`));
+
+    const built    = [...new Set(icons.filter((i) => i.size && !i.fallback).map((i) => i.size))].sort((a, b) => a - b);
+    const manifest = { package: checksum, count: icons.length, sizes: built, icons };
+    if (!cfg.dryRun) await fs.writeFile(cfg.out, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+
+    console.log(colour("green", `Manifest ${cfg.dryRun ? "previewed" : "written"}: ${icons.length} icons.`));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
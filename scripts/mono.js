@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * mono.js
+ *
+ * Opt-in: writes single-colour variants of ./aws-icons to ./aws-icons-mono
+ * for dense UIs and dark mode. For every SVG it
+ *   • drops the filled background square (any rect covering half the canvas or more)
+ *   • recolours every remaining fill / stroke to currentColor, so the glyph
+ *     takes the surrounding text colour
+ *   • keeps the original category colour on the root as a CSS custom property,
+ *     style="--aws-category-color:#ED7100", for `color: var(--aws-category-color)`
+ *
+ * The result is derived artwork, not official AWS icons: every file carries a
+ * comment saying so, and NOTICE.md in the output root explains what changed.
+ * colours.json maps each icon to the category colour it had.
+ *
+ * Run it with `aws-icons mono`, or add "mono" to "steps" in aws-icons.config.
+ *
+ * Options:
+ *   -s | --source <dir>   icon root   (default: ./aws-icons)
+ *   -d | --dest   <dir>   output dir  (default: ./aws-icons-mono)
+ *        --dry-run        preview only, no writes
+ */
+
+import fs   from "node:fs/promises";
+import path from "node:path";
+import * as cheerio from "cheerio";
+import { argv, exit } from "node:process";
+import { colour, ensure, isDir, posix, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function cliCfg() {
+  const cfg = { source: config.paths.icons, dest: config.paths.mono, dryRun: false };
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-s":
+      case "--source": cfg.source = argv[++i]; break;
+      case "-d":
+      case "--dest":   cfg.dest   = argv[++i]; break;
+      case "--dry-run": cfg.dryRun = true;      break;
+      default: console.error(`Unknown argument: ${argv[i]}`); exit(1);
+    }
+  }
+  cfg.source = path.resolve(cfg.source);
+  cfg.dest   = path.resolve(cfg.dest);
+  return cfg;
+}
+const cfg = cliCfg();
+
+/* ── helpers ── */
+const DERIVED =
+  "Derived from the AWS Architecture Icons by aws-icons mono: background removed and " +
+  "recoloured to currentColor. Not official AWS artwork.";
+
+const NOTICE = `# Derived icons – not official AWS artwork
+
+The SVGs in this folder are generated from the AWS Architecture Icons by
+\`scripts/mono.js\`. Their background squares were removed and every fill and
+stroke was recoloured to \`currentColor\`. The original category colour is kept
+as the \`--aws-category-color\` custom property on each \`<svg>\`.
+
+AWS's brand guidelines ask that the official icons are not altered. Use these
+variants only where a single-colour glyph is needed, such as dense UIs or dark
+mode. Use the unmodified icons in \`aws-icons/\` for architecture diagrams and
+anything published.
+`;
+
+const NONE = /^(?:none|transparent)$/i;
+const isColour = (v) => v && !NONE.test(v) && !/^url\(/i.test(v) && v !== "currentColor";
+const isWhite  = (v) => /^(?:#fff(?:fff)?|white)$/i.test(v);
+
+const num = (v) => Number.parseFloat(v) || 0;
+
+/* the fill an element actually paints with: its own, or the nearest ancestor's */
+const effectiveFill = ($, el) => $(el).closest("[fill]").attr("fill") ?? "#000";
+
+function toMono(data) {
+  const $   = cheerio.load(data, { xml: true });
+  const svg = $("svg").first();
+  if (!svg.length) return null;
+
+  const [, , vbW = num(svg.attr("width")), vbH = num(svg.attr("height"))] =
+    (svg.attr("viewBox") ?? "").split(/[\s,]+/).map(Number);
+  const area = vbW * vbH;
+
+  /* 1 - background squares; the first filled one gives the category colour */
+  let category = null;
+  svg.find("rect").each((_, el) => {
+    const fill = effectiveFill($, el);
+    if (NONE.test(fill) || !area || num($(el).attr("width")) * num($(el).attr("height")) < area / 2) return;
+    category ??= isColour(fill) ? fill : null;
+    const parent = $(el).parent();
+    $(el).remove();
+    if (parent.is("g") && !parent.children().length) parent.remove();
+  });
+
+  /* without a background (Resource, General icons) the most used non-white colour stands in */
+  if (!category) {
+    const counts = {};
+    svg.find("[fill], [stroke]").each((_, el) => {
+      for (const k of ["fill", "stroke"]) {
+        const v = $(el).attr(k);
+        if (isColour(v) && !isWhite(v)) counts[v.toUpperCase()] = (counts[v.toUpperCase()] ?? 0) + 1;
+      }
+    });
+    category = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0] ?? null;
+  }
+
+  /* 2 - everything that paints now paints in currentColor */
+  svg.find("*").add(svg).each((_, el) => {
+    const node = $(el);
+    for (const k of ["fill", "stroke", "stop-color"])
+      if (isColour(node.attr(k))) node.attr(k, "currentColor");
+    const style = node.attr("style");
+    if (style)
+      node.attr("style", style.replace(/\b(fill|stroke|stop-color)\s*:\s*([^;]+)/gi,
+        (m, k, v) => (isColour(v.trim()) ? `${k}:currentColor` : m)));
+  });
+
+  /* 3 - category colour as a custom property, plus the "derived" marker */
+  if (category) {
+    const style = svg.attr("style");
+    svg.attr("style", `--aws-category-color:${category}${style ? `;${style}` : ""}`);
+  }
+  svg.prepend(`\n  <!-- ${DERIVED} -->`);
+
+  /* drop the prolog and the blank lines removed elements leave behind */
+  const out = $.xml().replace(/^\s*<\?xml[^>]*\?>\s*/i, "").replace(/\n[ \t]*(?=\n)/g, "").trim();
+  return { svg: `${out}\n`, category };
+}
+
+/* ── main build ── */
+(async () => {
+  try {
+    if (!isDir(cfg.source)) { console.error(colour("red", `No source: ${cfg.source}`)); exit(1); }
+
+    if (!cfg.dryRun) { await fs.rm(cfg.dest, { recursive: true, force: true }); await ensure(cfg.dest); }
+
+    const colours = {};
+    let count = 0;
+    for await (const svgPath of walk(cfg.source)) {
+      const rel  = posix(path.relative(cfg.source, svgPath));
+      const mono = toMono(await fs.readFile(svgPath, "utf8"));
+      if (!mono) { console.warn(colour("yellow", `Warning: no <svg> root, skipping ${rel}`)); continue; }
+
+      colours[rel] = mono.category;
+      count += 1;
+      if (cfg.dryRun) continue;
+      const dst = path.join(cfg.dest, rel);
+      await ensure(path.dirname(dst));
+      await fs.writeFile(dst, mono.svg, "utf8");
+    }
+
+    if (!cfg.dryRun) {
+      await fs.writeFile(path.join(cfg.dest, "NOTICE.md"), NOTICE, "utf8");
+      await fs.writeFile(path.join(cfg.dest, "colours.json"), `${JSON.stringify(colours, null, 2)}\n`, "utf8");
+    }
+
+    console.log(colour("green", `Mono variants ${cfg.dryRun ? "previewed" : "written"}: ${count} icons.`));
+    console.log(colour("yellow", "These are derived icons, not official AWS artwork (see NOTICE.md)."));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * raster.js
+ *
+ * Opt-in: renders every SVG in ./aws-icons to PNG (and optionally WebP) under
+ * ./aws-icons-raster, for slide decks, wiki pages and email templates that
+ * can't take SVG. The category folders are mirrored, one file per size and
+ * scale factor:
+ *   Analytics/Athena-48.png      48 px at 1x
+ *   Analytics/Athena-48@2x.png   96 px for high-density screens
+ *
+ * Rendering uses resvg compiled to WebAssembly and WebP encoding uses libwebp
+ * compiled to WebAssembly, so no browser or native library is needed.
+ *
+ * raster-cache.json in the output root records a content hash per icon; icons
+ * whose SVG hasn't changed since the last run are skipped. Changing sizes,
+ * scales, WebP or quality renders everything again, as does --force.
+ *
+ * Run it with `aws-icons raster`, or add "raster" to "steps" in aws-icons.config.
+ *
+ * Options:
+ *   -s | --source <dir>    icon root                  (default: ./aws-icons)
+ *   -d | --dest   <dir>    output dir                 (default: ./aws-icons-raster)
+ *        --sizes  <list>   pixel sizes, e.g. 32,64    (default: 48)
+ *        --scales <list>   scale factors, e.g. 1,2    (default: 1,2)
+ *        --webp            write WebP next to PNG
+ *        --quality <n>     WebP quality, 0-100        (default: 90)
+ *        --force           render every icon again
+ *        --dry-run         preview only, no writes
+ */
+
+import fs     from "node:fs/promises";
+import fsc    from "node:fs";
+import path   from "node:path";
+import crypto from "node:crypto";
+import { createRequire } from "node:module";
+import { argv, exit } from "node:process";
+import { colour, ensure, isDir, posix, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config  = await loadConfig();
+const require = createRequire(import.meta.url);
+
+/* ── CLI ── */
+function cliCfg() {
+  const cfg = {
+    source:  config.paths.icons,
+    dest:    config.paths.raster,
+    sizes:   config.raster.sizes,
+    scales:  config.raster.scales,
+    webp:    config.raster.webp,
+    quality: config.raster.quality,
+    force:   false,
+    dryRun:  false,
+  };
+  const list = (v) => String(v).split(",").map((x) => x.trim()).filter(Boolean);
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-s":
+      case "--source":  cfg.source  = argv[++i];       break;
+      case "-d":
+      case "--dest":    cfg.dest    = argv[++i];       break;
+      case "--sizes":   cfg.sizes   = list(argv[++i]); break;
+      case "--scales":  cfg.scales  = list(argv[++i]); break;
+      case "--webp":    cfg.webp    = true;            break;
+      case "--quality": cfg.quality = argv[++i];       break;
+      case "--force":   cfg.force   = true;            break;
+      case "--dry-run": cfg.dryRun  = true;            break;
+      default: console.error(`Unknown argument: ${argv[i]}`); exit(1);
+    }
+  }
+
+  const numbers = (name, values, ok) => {
+    const out = [...new Set([values].flat().flatMap(list).map(Number))].sort((a, b) => a - b);
+    if (!out.length || !out.every(ok)) { console.error(`Invalid ${name}: ${[values].flat().join(",")}`); exit(1); }
+    return out;
+  };
+  cfg.sizes   = numbers("--sizes", cfg.sizes, (n) => Number.isInteger(n) && n > 0 && n <= 4096);
+  cfg.scales  = numbers("--scales", cfg.scales, (n) => n > 0 && n <= 8);
+  cfg.quality = Number(cfg.quality);
+  if (!(cfg.quality >= 0 && cfg.quality <= 100)) { console.error(`Invalid --quality: ${cfg.quality} (0-100)`); exit(1); }
+
+  cfg.source = path.resolve(cfg.source);
+  cfg.dest   = path.resolve(cfg.dest);
+  return cfg;
+}
+const cfg = cliCfg();
+
+/* ── helpers ── */
+const CACHE = "raster-cache.json";
+
+const sha1 = (s) => crypto.createHash("sha1").update(s).digest("hex");
+
+/* the settings every cached render depends on */
+const settings = JSON.stringify({ sizes: cfg.sizes, scales: cfg.scales, webp: cfg.webp, quality: cfg.webp ? cfg.quality : null });
+
+const formats = cfg.webp ? ["png", "webp"] : ["png"];
+
+/* Analytics/Athena.svg -> Analytics/Athena-48.png, Analytics/Athena-48@2x.png, … */
+function outputs(rel) {
+  const stem = rel.replace(/\.svg$/i, "");
+  return cfg.sizes.flatMap((size) => cfg.scales.flatMap((scale) => formats.map((ext) => ({
+    file: `${stem}-${size}${scale === 1 ? "" : `@${scale}x`}.${ext}`,
+    px:   Math.round(size * scale),
+    ext,
+  }))));
+}
+
+async function readCache() {
+  const fp = path.join(cfg.dest, CACHE);
+  if (cfg.force || !fsc.existsSync(fp)) return null;
+  const cache = JSON.parse(await fs.readFile(fp, "utf8"));
+  return cache.settings === settings ? cache : null;
+}
+
+/* resvg and (only when asked for) the WebP encoder, both WebAssembly */
+async function renderers() {
+  const { initWasm, Resvg } = await import("@resvg/resvg-wasm");
+  await initWasm(await fs.readFile(require.resolve("@resvg/resvg-wasm/index_bg.wasm")));
+
+  let webp = null;
+  if (cfg.webp) {
+    const { default: encode, init } = await import("@jsquash/webp/encode.js");
+    /* Node has WebAssembly SIMD, which is the build the encoder picks */
+    await init(await WebAssembly.compile(await fs.readFile(require.resolve("@jsquash/webp/codec/enc/webp_enc_simd.wasm"))));
+    webp = (image) => encode({ data: new Uint8ClampedArray(image.pixels), width: image.width, height: image.height }, { quality: cfg.quality });
+  }
+
+  return async (svg, px, ext) => {
+    const image = new Resvg(svg, { fitTo: { mode: "width", value: px }, background: "rgba(0,0,0,0)" }).render();
+    return ext === "webp" ? new Uint8Array(await webp(image)) : image.asPng();
+  };
+}
+
+/* ── main build ── */
+(async () => {
+  try {
+    if (!isDir(cfg.source)) { console.error(colour("red", `No source: ${cfg.source}`)); exit(1); }
+
+    console.log(colour("cyan", `Source : ${cfg.source}`));
+    console.log(colour("cyan", `Dest   : ${cfg.dest}`));
+    console.log(colour("cyan", `Sizes  : ${cfg.sizes.join(", ")} px at ${cfg.scales.map((s) => `${s}x`).join(", ")} (${formats.join(", ")})`));
+    console.log("");
+
+    const cache = await readCache();
+    if (!cache && !cfg.dryRun) { await fs.rm(cfg.dest, { recursive: true, force: true }); await ensure(cfg.dest); }
+    const before = cache?.files ?? {};
+
+    const render = await renderers();
+    const files  = {};
+    let rendered = 0, skipped = 0, written = 0;
+
+    for await (const svgPath of walk(cfg.source)) {
+      const rel  = posix(path.relative(cfg.source, svgPath));
+      const svg  = await fs.readFile(svgPath, "utf8");
+      const hash = sha1(svg);
+      files[rel] = hash;
+
+      const outs = outputs(rel);
+      if (before[rel] === hash && outs.every((o) => fsc.existsSync(path.join(cfg.dest, o.file)))) { skipped += 1; continue; }
+
+      rendered += 1;
+      if (cfg.dryRun) { console.log(colour("cyan", `DRY  ${rel}`)); continue; }
+      await ensure(path.dirname(path.join(cfg.dest, rel)));
+      for (const o of outs) {
+        await fs.writeFile(path.join(cfg.dest, o.file), await render(svg, o.px, o.ext));
+        written += 1;
+      }
+    }
+
+    /* icons gone from the source take their rasters with them */
+    const removed = Object.keys(before).filter((rel) => !(rel in files));
+    for (const rel of removed) {
+      console.log(colour("yellow", `Removed ${rel}`));
+      if (!cfg.dryRun) for (const o of outputs(rel)) await fs.rm(path.join(cfg.dest, o.file), { force: true });
+    }
+
+    if (!cfg.dryRun)
+      await fs.writeFile(path.join(cfg.dest, CACHE), `${JSON.stringify({ settings, files }, null, 2)}\n`, "utf8");
+
+    console.log(colour("green",
+      `Raster export ${cfg.dryRun ? "previewed" : "complete"}: ${rendered} icons rendered (${written} files), ` +
+      `${skipped} unchanged, ${removed.length} removed.`));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
@@ -5,19 +5,42 @@
  * Recursively rename every file / directory under a root, stripping:
  *   Prefixes : Arch-Category_, Arch-Category-, Arch_, Arch-, Res_, Res-
  *   Brands   : Amazon, AWS
- *   Sizes    : _48, _32   (before the extension)
+ *   Sizes    : _16, _32, _48, _64   (before the extension)
+ *
+ * Sizes stay when the build holds more than one (restructure.js --size 16,32),
+ * so every size of an icon keeps its own name: Lambda_16.svg, Lambda_32.svg.
+ *
+ * File names then go through a naming strategy (--naming or "naming" in
+ * aws-icons.config); directories keep the cleaned AWS casing:
+ *   clean    the stripped AWS name as-is         RDS_Blue-Green-Deployments.svg
+ *   kebab    lower-case, "-" between words       rds-blue-green-deployments.svg
+ *   snake    lower-case, "_" between words       rds_blue_green_deployments.svg
+ *   pascal   capitalised words, no separators    RDSBlueGreenDeployments.svg
+ *
+ * Names that collapse onto the same result are resolved deterministically:
+ * a file already carrying the name keeps it, the rest get -2, -3… in name order.
+ * Every original → final path lands in rename-map.json in the root; on later
+ * runs the map keeps its original keys, so it always maps the AWS names.
  *
  * Pass --dry-run to preview the changes without touching the file-system.
+ *
+ * If restructure.js left an origins.json ledger in the root, its keys are
+ * rewritten to follow every rename so the original AWS names are not lost.
  */
 
 import fs   from "node:fs/promises";
 import fsc  from "node:fs";
 import path from "node:path";
 import { argv, exit } from "node:process";
+import { colour, posix, requireDir } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+import { NAMING, stripAws } from "./lib/naming.js";
+
+const config = await loadConfig();
 
 /* ── CLI ── */
 function parseArgs() {
-  const opts = { root: "aws-icons", dryRun: false };
+  const opts = { root: config.paths.icons, naming: config.naming, dryRun: false };
 
   for (let i = 2; i < argv.length; i += 1) {
     switch (argv[i]) {
@@ -25,6 +48,9 @@ function parseArgs() {
       case "--root":
         opts.root = argv[++i];
         break;
+      case "--naming":
+        opts.naming = argv[++i];
+        break;
       case "--dry-run":
         opts.dryRun = true;
         break;
@@ -34,22 +60,70 @@ function parseArgs() {
     }
   }
 
-  opts.root = path.resolve(opts.root);
-  try {
-    const st = fsc.statSync(opts.root);
-    if (!st.isDirectory()) throw new Error("not a directory");
-  } catch {
-    console.error(`Root directory not found: ${opts.root}`);
+  if (!(opts.naming in NAMING)) {
+    console.error(`Unknown naming strategy: ${opts.naming} (known: ${Object.keys(NAMING).join(", ")})`);
     exit(1);
   }
+
+  opts.root = requireDir(opts.root, "Root directory");
   return opts;
 }
 
 const cfg = parseArgs();
 
 /* ── helpers ── */
-const colour = (c, t) =>
-  `\u001b[${{ red:31, green:32, yellow:33, cyan:36 }[c]}m${t}\u001b[0m`;
+const LEDGER     = "origins.json";
+const RENAME_MAP = "rename-map.json";
+const RESERVED   = new Set([LEDGER, RENAME_MAP, "checksum.txt", "category-report.json", "integrity.json"]);   // root bookkeeping files
+
+const readJson = (fp) => (fsc.existsSync(fp) ? JSON.parse(fsc.readFileSync(fp, "utf8")) : null);
+
+const sortKeys = (obj) => Object.fromEntries(Object.entries(obj).sort(([a], [b]) => a.localeCompare(b)));
+
+/* rewrite a path (or anything below it) after from -> to */
+const movePath = (p, from, to) =>
+  p === from ? to : p.startsWith(`${from}/`) ? `${to}${p.slice(from.length)}` : p;
+
+/* origin ledger (final path -> raw source), re-keyed as renames happen */
+let origins = null;
+/* path at the start of this run -> current path */
+let tracked = {};
+/* true when origins.json records more than one requested size */
+let keepSizes = false;
+
+function recordMove(src, dst) {
+  const from = posix(path.relative(cfg.root, src));
+  const to   = posix(path.relative(cfg.root, dst));
+  for (const k of Object.keys(tracked)) tracked[k] = movePath(tracked[k], from, to);
+  if (origins)
+    origins = Object.fromEntries(Object.entries(origins).map(([k, v]) => [movePath(k, from, to), v]));
+}
+
+async function trackFiles(dir) {
+  for (const e of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) await trackFiles(full);
+    else if (dir !== cfg.root || !RESERVED.has(e.name)) {
+      const rel = posix(path.relative(cfg.root, full));
+      tracked[rel] = rel;
+    }
+  }
+}
+
+async function saveLedgers() {
+  if (cfg.dryRun) return;
+  if (origins)
+    await fs.writeFile(path.join(cfg.root, LEDGER), `${JSON.stringify(sortKeys(origins), null, 2)}\n`, "utf8");
+
+  /* keep the keys of an earlier map so it keeps pointing from the AWS names */
+  const previous = readJson(path.join(cfg.root, RENAME_MAP))?.icons ?? {};
+  const firstKey = Object.fromEntries(Object.entries(previous).map(([orig, final]) => [final, orig]));
+  const icons    = {};
+  for (const [start, now] of Object.entries(tracked)) icons[firstKey[start] ?? start] = now;
+
+  const map = { naming: cfg.naming, icons: sortKeys(icons) };
+  await fs.writeFile(path.join(cfg.root, RENAME_MAP), `${JSON.stringify(map, null, 2)}\n`, "utf8");
+}
 
 function cleanName(name, isFile) {
   let ext = "";
@@ -60,17 +134,47 @@ function cleanName(name, isFile) {
     base = path.basename(name, ext);
   }
 
-  base = base
-    /* 1 - prefixes */           .replace(/^(?:Arch[-_]Category[-_]|Arch[-_]|Res[-_])/i, "")
-    /* 2 - brands  */           .replace(/Amazon|AWS/gi, "")
-    /* 3 - sizes   */           .replace(/_(?:48|32)$/i, "")
-    /* 4 - dedupe  */           .replace(/[-_]{2,}/g, "_")
-    /* 5 - trim    */           .replace(/^[-_]+|[-_]+$/g, "");
+  base = stripAws(base, isFile && keepSizes);
 
-  if (!base) base = name;          // guard against empty
+  if (!base) base = isFile ? path.basename(name, ext) : name;   // guard against empty
+  if (isFile) base = NAMING[cfg.naming].apply(base) || base;
   return isFile ? `${base}${ext}` : base;
 }
 
+/*
+ * Target names for one directory's entries. Case-insensitive, so the plan
+ * also holds on macOS / Windows file-systems.
+ */
+function planNames(entries) {
+  const { sep } = NAMING[cfg.naming];
+  const groups  = new Map();
+  for (const e of entries) {
+    const to  = cleanName(e.name, !e.isDirectory());
+    const key = to.toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ from: e.name, to });
+  }
+
+  const taken = new Set(groups.keys());
+  const plan  = [];
+  for (const group of groups.values()) {
+    /* an entry that already has the name keeps it; the rest follow in name order */
+    group.sort((a, b) => (b.from === b.to) - (a.from === a.to) || a.from.localeCompare(b.from));
+    plan.push(group[0]);
+    for (const item of group.slice(1)) {
+      const ext  = path.extname(item.to);
+      const base = item.to.slice(0, item.to.length - ext.length);
+      let n = 2;
+      while (taken.has(`${base}${sep}${n}${ext}`.toLowerCase())) n += 1;
+      const to = `${base}${sep}${n}${ext}`;
+      taken.add(to.toLowerCase());
+      console.warn(colour("yellow", `Collision: ${item.from} -> ${to} (${item.to} is taken)`));
+      plan.push({ from: item.from, to });
+    }
+  }
+  return plan.filter((p) => p.from !== p.to);
+}
+
 async function renameSafe(parent, oldName, newName) {
   const src = path.join(parent, oldName);
   const dst = path.join(parent, newName);
@@ -81,27 +185,39 @@ async function renameSafe(parent, oldName, newName) {
     return;
   }
 
-  if (fsc.existsSync(dst)) {
+  /* a case-only rename finds its own source on case-insensitive file-systems */
+  if (fsc.existsSync(dst) && oldName.toLowerCase() !== newName.toLowerCase()) {
     console.warn(colour("yellow", `Warning: destination exists, skipping ${newName}`));
     return;
   }
 
   await fs.rename(src, dst);
+  recordMove(src, dst);
   console.log(colour("green", `Renamed ${oldName} -> ${newName}`));
 }
 
 async function processDir(dir) {
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-
-  for (const entry of entries) {
-    const full = path.join(dir, entry.name);
-
-    if (entry.isDirectory()) {
-      await processDir(full);                     // recurse first
-      await renameSafe(dir, entry.name, cleanName(entry.name, false));
-    } else {
-      await renameSafe(dir, entry.name, cleanName(entry.name, true));
+  const entries = (await fs.readdir(dir, { withFileTypes: true }))
+    .filter((e) => dir !== cfg.root || e.isDirectory() || !RESERVED.has(e.name));
+
+  for (const entry of entries)
+    if (entry.isDirectory()) await processDir(path.join(dir, entry.name));   // recurse first
+
+  /* targets are unique, but one may still be held by an entry that is about to move */
+  let pending = planNames(entries);
+  while (pending.length) {
+    const busy = new Set(pending.map((p) => p.from.toLowerCase()));
+    const free = pending.filter((p) => cfg.dryRun || !busy.has(p.to.toLowerCase()) || p.from.toLowerCase() === p.to.toLowerCase());
+    if (!free.length) {
+      /* a rename cycle: park one entry under a temporary name and retry */
+      const [first] = pending;
+      const tmp = `.rename-${first.from}`;
+      await renameSafe(dir, first.from, tmp);
+      first.from = tmp;
+      continue;
     }
+    for (const p of free) await renameSafe(dir, p.from, p.to);
+    pending = pending.filter((p) => !free.includes(p));
   }
 }
 
@@ -109,10 +225,17 @@ async function processDir(dir) {
 (async () => {
   try {
     console.log(colour("cyan", `Root   : ${cfg.root}`));
+    console.log(colour("cyan", `Naming : ${cfg.naming}`));
     console.log(colour("cyan", `Mode   : ${cfg.dryRun ? "DRY-RUN (no changes)" : "LIVE"}`));
     console.log("");
 
+    origins = readJson(path.join(cfg.root, LEDGER));
+    /* fallbacks are the one size an icon comes in, not a size that was asked for */
+    keepSizes = new Set(Object.values(origins ?? {}).filter((o) => o.size && !o.fallback).map((o) => o.size)).size > 1;
+    if (keepSizes) console.log(colour("cyan", "Multi-size build: size suffixes are kept"));
+    await trackFiles(cfg.root);
     await processDir(cfg.root);
+    await saveLedgers();
 
     console.log(colour("green", "Rename pass complete."));
   } catch (err) {
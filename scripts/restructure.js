@@ -3,6 +3,22 @@
 /**
  * Restructure AWS official AWS icon ZIP into a tidy ./aws-icons directory.
  * Mirrors optional flags: --source, --dest, --size, --formats, etc.
+ * Defaults (paths, sizes, formats, aliases) come from aws-icons.config.
+ *
+ * --size takes one size or a list (--size 16,32,64); every listed size is
+ * copied side by side, each file keeping the size AWS gave it in its name.
+ * Icons that exist in none of the listed sizes (most Resource icons only come
+ * at 48, group icons at 32) fall back to the available size closest to the
+ * first one listed; origins.json records every file's size and flags those
+ * fallbacks.
+ *
+ * Architecture categories are paired with Resource categories by slug, then
+ * through the alias table ("aliases" in aws-icons.config, or a JSON file via
+ * --aliases), then by a substring guess that is logged for every pair it
+ * makes. category-report.json in the dest records the pairing, the guesses,
+ * unmatched folders and aliases whose target folder is gone; --strict (or
+ * "strict": true) exits 1 before copying anything when either of the last
+ * two is non-empty.
  */
 
 import fs   from 'node:fs/promises';
@@ -10,16 +26,23 @@ import fsc  from 'node:fs';
 import path from 'node:path';
 import os   from 'node:os';
 import { argv, exit } from 'node:process';
+import { awsSize, colour, ensure as ensureDir, posix, requireDir, sizelessName, walk } from './lib/common.js';
+import { loadConfig, readAliases } from './lib/config.js';
+
+const config = await loadConfig();
 
 /* CLI parsing ─────────────────────────────────────────────────────────── */
 
 function parseCli() {
   const cfg = {
     dryRun:         false,
-    size:           '48',
-    formats:        ['svg'],
+    sizes:          config.sizes,
+    formats:        config.formats,
     concurrency:    os.cpus().length,
     allowUnmatched: false,
+    strict:         config.strict,
+    aliases:        config.aliases,
+    aliasFile:      null,
     source:         null,
     dest:           null,
     defaultSource:  null,
@@ -35,28 +58,27 @@ function parseCli() {
       case '-d':
       case '--dest':   cfg.dest   = argv[++i]; break;
       case '--dry-run': cfg.dryRun = true; break;
-      case '--size':    cfg.size  = argv[++i]; break;
+      case '--size':
+      case '--sizes':   cfg.sizes = argv[++i].split(',').map(x => x.trim()).filter(Boolean); break;
       case '--formats': cfg.formats = argv[++i].split(',').map(x => x.trim().toLowerCase()); break;
       case '--concurrency': cfg.concurrency = Number(argv[++i]) || 1; break;
       case '--allow-unmatched': cfg.allowUnmatched = true; break;
+      case '--strict':  cfg.strict = true; break;
+      case '--aliases': cfg.aliasFile = path.resolve(argv[++i]); break;
       default: console.error(`Unknown arg ${a}`); exit(1);
     }
   }
 
-  if (!cfg.source) cfg.source = 'raw-aws-icons';
-  if (!cfg.dest)   cfg.dest   = 'aws-icons';
-
-  cfg.defaultSource = path.resolve('raw-aws-icons');
-  cfg.source = path.resolve(cfg.source);
-  cfg.dest   = path.resolve(cfg.dest);
+  cfg.defaultSource = config.paths.raw;
+  cfg.source = cfg.source ? path.resolve(cfg.source) : config.paths.raw;
+  cfg.dest   = cfg.dest   ? path.resolve(cfg.dest)   : config.paths.icons;
   cfg.userSetSource = userSetSource;
 
-  try {
-    const st = fsc.statSync(cfg.source);
-    if (!st.isDirectory()) throw new Error('not a directory');
-  } catch {
-    console.error(`Source directory not found: ${cfg.source}`); exit(1);
-  }
+  const bad = cfg.sizes.filter(s => !/^\d+$/.test(s));
+  if (bad.length || !cfg.sizes.length) { console.error(`Invalid size(s): ${bad.join(', ') || '(none)'}`); exit(1); }
+  cfg.sizes = [...new Set(cfg.sizes.map(Number))];
+
+  requireDir(cfg.source, 'Source directory');
 
   return cfg;
 }
@@ -65,19 +87,15 @@ const cfg = parseCli();
 
 /* Helpers ─────────────────────────────────────────────────────────────── */
 
-const colour = (c, t) =>
-  `\u001b[${{ red:31, green:32, yellow:33, cyan:36 }[c]}m${t}\u001b[0m`;
-
 const slug = s => s.toLowerCase().replace(/[^a-z0-9]/g, '');
 
-async function* walk(dir) {
-  for (const e of await fs.readdir(dir, { withFileTypes:true })) {
-    const p = path.join(dir, e.name);
-    if (e.isDirectory()) yield* walk(p); else yield p;
-  }
-}
-
-const ensureDir = d => fs.mkdir(d, { recursive:true });
+/* origin ledger: final dest path -> raw source path, icon kind and size */
+const origins = {};
+const recordOrigin = (src, dst, kind, fallback = false) => {
+  origins[posix(path.relative(cfg.dest, dst))] = {
+    source: posix(path.relative(cfg.source, src)), kind, size: awsSize(src), ...(fallback && { fallback: true }),
+  };
+};
 
 const newest = (root, pfx) => {
   const rx = /_(\d{8}|\d{6})$/;
@@ -93,13 +111,34 @@ const newest = (root, pfx) => {
   );
 };
 
-const matchesSize = fp => {
-  const ext  = path.extname(fp).slice(1).toLowerCase();
-  if (!cfg.formats.includes(ext)) return false;
-  const base = path.basename(fp).toLowerCase();
-  if (base.endsWith(`_${cfg.size}.${ext}`)) return true;
-  return fp.split(path.sep).includes(cfg.size);
-};
+const matchesFormat = fp => cfg.formats.includes(path.extname(fp).slice(1).toLowerCase());
+const matchesSize   = fp => matchesFormat(fp) && cfg.sizes.includes(awsSize(fp));
+
+/*
+ * The files of one folder to copy: every requested size of each icon, or the
+ * size closest to the first requested one when the icon has none of them.
+ */
+async function pickSizes(dir, keep = matchesFormat) {
+  const icons = new Map();
+  for await (const f of walk(dir)) {
+    if (!keep(f)) continue;
+    const key = `${path.extname(f).toLowerCase()}:${sizelessName(f).toLowerCase()}`;
+    if (!icons.has(key)) icons.set(key, []);
+    icons.get(key).push(f);
+  }
+
+  const [want] = cfg.sizes;
+  const picked = [];
+  for (const files of icons.values()) {
+    const hits = files.filter(f => awsSize(f) === null || cfg.sizes.includes(awsSize(f)));
+    if (hits.length) { picked.push(...hits.map(src => ({ src, fallback:false }))); continue; }
+    const [src] = files.sort((a, b) =>
+      Math.abs(awsSize(a) - want) - Math.abs(awsSize(b) - want) || awsSize(b) - awsSize(a));
+    picked.push({ src, fallback:true });
+    sum.fallback.push(posix(path.relative(cfg.source, src)));
+  }
+  return picked.sort((a, b) => a.src.localeCompare(b.src));
+}
 
 /* Locate raw category roots ───────────────────────────────────────────── */
 
@@ -122,45 +161,95 @@ for (const e of fsc.readdirSync(resRoot, { withFileTypes:true }))
   if (e.isDirectory() && e.name.startsWith('Res_'))
     resCats.set(slug(e.name.slice(4)), e.name);
 
-const manualAlias = { appintegration:'applicationintegration', iot:'internetofthings' };
+/* table keys / values may be slugs or folder names ("Arch_App-Integration") */
+const aliasSlug = s => slug(String(s).replace(/^(?:Arch|Res)_/i, ''));
+
+const manualAlias = Object.fromEntries(
+  Object.entries({ ...cfg.aliases, ...(cfg.aliasFile ? await readAliases(cfg.aliasFile) : {}) })
+    .filter(([, v]) => v)
+    .map(([k, v]) => [aliasSlug(k), aliasSlug(v)]),
+);
 
+/* aliases in use whose Resource folder no longer exists, and ones for categories not in this package */
+const missingTargets = Object.fromEntries(Object.entries(manualAlias).filter(([k, v]) => archCats.has(k) && !resCats.has(v)));
+const staleAliases   = Object.keys(manualAlias).filter(k => !archCats.has(k));
+
+/* substring guesses, only for categories neither a slug nor the table pairs */
 const autoAlias = {};
-for (const k of archCats.keys())
-  if (!resCats.has(k)) {
-    const hit = [...resCats.keys()].find(x => x.includes(k) || k.includes(x));
-    if (hit) autoAlias[k] = hit;
+const guesses   = [];
+for (const [k, archDir] of archCats)
+  if (!resCats.has(k) && !(k in manualAlias)) {
+    const hits = [...resCats.keys()].filter(x => x.includes(k) || k.includes(x)).sort();
+    if (!hits.length) continue;
+    autoAlias[k] = hits[0];
+    guesses.push({ architecture: archDir, resource: resCats.get(hits[0]), candidates: hits.map(h => resCats.get(h)) });
   }
 
 const alias = { ...autoAlias, ...manualAlias };
 
+/* the pairing every merge below uses: Arch folder -> Res folder, or null */
+const pairs = Object.fromEntries([...archCats].sort(([, a], [, b]) => a.localeCompare(b))
+  .map(([k, d]) => [d, resCats.get(alias[k] ?? k) ?? null]));
+const pairedRes = new Set(Object.values(pairs).filter(Boolean));
+
+const report = {
+  aliases:   { table: manualAlias, guessed: guesses, missingTargets, stale: staleAliases },
+  pairs,
+  unmatched: {
+    architecture: Object.entries(pairs).filter(([d, r]) => !r && d !== 'Arch_General-Icons').map(([d]) => d),
+    resource:     [...resCats.values()].filter(d => !pairedRes.has(d)).sort(),
+  },
+};
+
+for (const g of guesses)
+  console.log(colour('yellow', `Auto-alias: ${g.architecture} -> ${g.resource}` +
+    (g.candidates.length > 1 ? ` (also matched: ${g.candidates.slice(1).join(', ')})` : '')));
+for (const [k, v] of Object.entries(missingTargets))
+  console.log(colour('red', `Alias target missing: ${k} -> ${v} (no Res_ folder has that slug)`));
+for (const k of staleAliases)
+  console.log(colour('yellow', `Alias for a category not in this package: ${k}`));
+
+if (!cfg.dryRun)
+  await fs.writeFile(path.join(cfg.dest, 'category-report.json'), `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+
+if (cfg.strict && (report.unmatched.architecture.length || report.unmatched.resource.length ||
+                   Object.keys(missingTargets).length)) {
+  console.error(colour('red', '\nStrict mode: unmatched categories or missing alias targets'));
+  report.unmatched.architecture.forEach(d => console.error('  • unmatched', d));
+  report.unmatched.resource.forEach(d => console.error('  • unmatched', d));
+  Object.entries(missingTargets).forEach(([k, v]) => console.error(`  • alias ${k} -> ${v}: target missing`));
+  console.error(`Add the pairs to "aliases" in aws-icons.config (see ${path.join(cfg.dest, 'category-report.json')}).`);
+  exit(1);
+}
+
 /* Copy helpers ───────────────────────────────────────────────────────── */
 
-async function copyAllSvgs(src, dst) {
+const isSvg = f => path.extname(f).toLowerCase() === '.svg';
+
+async function copyAllSvgs(src, dst, kind) {
   await ensureDir(dst);
-  for await (const f of walk(src)) {
-    if (path.extname(f).toLowerCase() === '.svg') {
-      const out = path.join(dst, path.relative(src, f));
-      if (!cfg.dryRun) {
-        await ensureDir(path.dirname(out));
-        await fs.copyFile(f, out);
-      }
+  for (const { src:f, fallback } of await pickSizes(src, isSvg)) {
+    const out = path.join(dst, path.relative(src, f));
+    if (!cfg.dryRun) {
+      await ensureDir(path.dirname(out));
+      await fs.copyFile(f, out);
     }
+    recordOrigin(f, out, kind, fallback);
   }
 }
 
-const copyGroup = () => copyAllSvgs(groupDir, path.join(cfg.dest, 'Architecture-Group'));
+const copyGroup = () => copyAllSvgs(groupDir, path.join(cfg.dest, 'Architecture-Group'), 'group');
 
 const copyCats = async () => {
   const dst = path.join(cfg.dest, 'Categories');
   await ensureDir(dst);
   const seen = new Set();
-  for await (const f of walk(catDir)) {
-    if (matchesSize(f)) {
-      const out = path.join(dst, path.basename(f));
-      if (seen.has(out)) continue;
-      seen.add(out);
-      if (!cfg.dryRun) await fs.copyFile(f, out, fsc.constants.COPYFILE_EXCL);
-    }
+  for (const { src:f, fallback } of await pickSizes(catDir)) {
+    const out = path.join(dst, path.basename(f));
+    if (seen.has(out)) continue;
+    seen.add(out);
+    if (!cfg.dryRun) await fs.copyFile(f, out, fsc.constants.COPYFILE_EXCL);
+    recordOrigin(f, out, 'category', fallback);
   }
 };
 
@@ -173,13 +262,13 @@ async function processGeneral(archDir, resDir) {
 
   async function ingest(src) {
     if (!src) return;
-    for await (const f of walk(src)) {
-      if (path.extname(f).toLowerCase() !== '.svg') continue;
+    for (const { src:f, fallback } of await pickSizes(src, isSvg)) {
       const base = path.basename(f);
       const dark = /([_-]|^)dark([_-]|\.svg$)/i.test(base) ||
                    f.toLowerCase().includes(`${path.sep}dark${path.sep}`);
       const out  = path.join(dark ? dstDark : dstLight, base);
       if (!cfg.dryRun) await fs.copyFile(f, out, fsc.constants.COPYFILE_EXCL);
+      recordOrigin(f, out, dark ? 'general-dark' : 'general-light', fallback);
     }
   }
 
@@ -189,30 +278,30 @@ async function processGeneral(archDir, resDir) {
 
 /* Merge loop ─────────────────────────────────────────────────────────── */
 
-const sum = { copied:0, skipped:0, merged:0, archOnly:0, unmatched:[] };
+const sum = { copied:0, skipped:0, merged:0, archOnly:0, unmatched:[], fallback:[] };
 
-async function mergeCat(slugCat, archDirName) {
+async function mergeCat(archDirName) {
   if (archDirName === 'Arch_General-Icons') {
     const archDir   = path.join(archRoot, archDirName);
-    const resDir    = resCats.get(alias[slugCat] ?? slugCat);
+    const resDir    = pairs[archDirName];
     const resFull   = resDir ? path.join(resRoot, resDir) : null;
     await processGeneral(archDir, resFull);
     sum.archOnly += 1;
     return;
   }
 
-  const resDirName = resCats.get(alias[slugCat] ?? slugCat);
+  const resDirName = pairs[archDirName];
   const dstDir     = path.join(cfg.dest, archDirName);
   await ensureDir(dstDir);
 
   const jobs = [];
 
-  for await (const f of walk(path.join(archRoot, archDirName, cfg.size)))
-    if (matchesSize(f)) jobs.push({ src:f, dst:path.join(dstDir, path.basename(f)) });
+  for await (const f of walk(path.join(archRoot, archDirName)))
+    if (matchesSize(f)) jobs.push({ src:f, dst:path.join(dstDir, path.basename(f)), kind:'service' });
 
   if (resDirName)
-    for await (const f of walk(path.join(resRoot, resDirName)))
-      if (matchesSize(f)) jobs.push({ src:f, dst:path.join(dstDir, path.basename(f)) });
+    for (const { src:f, fallback } of await pickSizes(path.join(resRoot, resDirName)))
+      jobs.push({ src:f, dst:path.join(dstDir, path.basename(f)), kind:'resource', fallback });
   else {
     sum.archOnly += 1; sum.unmatched.push(archDirName);
   }
@@ -220,9 +309,9 @@ async function mergeCat(slugCat, archDirName) {
   let i = 0;
   async function worker() {
     while (i < jobs.length) {
-      const { src, dst } = jobs[i++];
+      const { src, dst, kind, fallback } = jobs[i++];
       if (cfg.dryRun) { sum.copied += 1; continue; }
-      try   { await fs.copyFile(src, dst, fsc.constants.COPYFILE_EXCL); sum.copied += 1; }
+      try   { await fs.copyFile(src, dst, fsc.constants.COPYFILE_EXCL); sum.copied += 1; recordOrigin(src, dst, kind, fallback); }
       catch { sum.skipped += 1; }
     }
   }
@@ -231,7 +320,7 @@ async function mergeCat(slugCat, archDirName) {
   if (resDirName) sum.merged += 1;
 }
 
-await Promise.all([...archCats].map(([s, d]) => mergeCat(s, d)));
+await Promise.all([...archCats.values()].map(mergeCat));
 
 await copyGroup();
 await copyCats();
@@ -241,6 +330,10 @@ if (!cfg.dryRun) {
     await fs.copyFile(path.join(cfg.source, 'checksum.txt'),
                       path.join(cfg.dest,  'checksum.txt'));
   } catch {/* optional */}
+
+  /* consumed by rename.js (keys follow renames) and manifest.js */
+  const ledger = Object.fromEntries(Object.entries(origins).sort(([a], [b]) => a.localeCompare(b)));
+  await fs.writeFile(path.join(cfg.dest, 'origins.json'), `${JSON.stringify(ledger, null, 2)}\n`, 'utf8');
 }
 
 /* Summary ────────────────────────────────────────────────────────────── */
@@ -249,15 +342,30 @@ console.log(`\n${colour('cyan','AWS-Icon restructure complete')}`);
 console.log('Source :', cfg.source);
 console.log('Dest   :', cfg.dest);
 console.log('Mode   :', cfg.dryRun ? 'DRY-RUN' : 'LIVE');
+console.log('Sizes  :', cfg.sizes.join(', '));
 console.log(`${colour('green',`${sum.copied} copied`)}, ${colour('yellow',`${sum.skipped} duplicates skipped`)}`);
 console.log(`Merged categories : ${sum.merged}`);
 console.log(`Arch only         : ${sum.archOnly}`);
+console.log(`Size fallbacks    : ${sum.fallback.length}`);
+
+if (sum.fallback.length) {
+  console.log(`\nNot available in ${cfg.sizes.join(' / ')}, copied at their only / nearest size:`);
+  sum.fallback.sort().slice(0, 20).forEach(f => console.log('  •', colour('yellow', f)));
+  if (sum.fallback.length > 20) console.log(`  … and ${sum.fallback.length - 20} more (see "fallback" in origins.json)`);
+}
 
 if (sum.unmatched.length && !cfg.allowUnmatched) {
   console.log('\nArch folders with no matching Resource folder:');
   sum.unmatched.sort().forEach(c => console.log('  •', colour('yellow', c)));
 }
 
+if (report.unmatched.resource.length && !cfg.allowUnmatched) {
+  console.log('\nRes folders no Arch folder pairs with (not copied):');
+  report.unmatched.resource.forEach(c => console.log('  •', colour('yellow', c)));
+}
+
+if (!cfg.dryRun) console.log(`\nCategory report: ${path.join(cfg.dest, 'category-report.json')}`);
+
 /* Workspace tidy-up (default source only) */
 if (!cfg.dryRun && !cfg.userSetSource && path.resolve(cfg.source) === cfg.defaultSource) {
   try {
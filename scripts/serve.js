@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * serve.js
+ *
+ * Hosts the helper site (./aws-svg-helper) on localhost, where the copy
+ * buttons get the secure context navigator.clipboard needs, and keeps it
+ * current while you work:
+ *   • watches ./aws-icons and rebuilds the helper for the categories that
+ *     changed (all of it when a root file such as origins.json changes)
+ *   • pages open in a browser reload after every rebuild
+ *   • a small JSON API over the records the helper pages use:
+ *       GET /api/icons?q=&category=&kind=&variant=&size=&limit=   search, best match first
+ *       GET /api/icons/<id>                                       one record
+ *       GET /api/icons/<id>.svg?size=<px>                         the SVG, optionally resized
+ *       GET /api/categories                                       category names and icon counts
+ *
+ * The helper is built first when it doesn't exist yet. Stop with Ctrl+C.
+ *
+ * Options:
+ *   -s | --source <dir>    icon root     (default: ./aws-icons)
+ *   -d | --dest   <dir>    helper site   (default: ./aws-svg-helper)
+ *   -p | --port   <n>      port          (default: 4173, or "serve": { "port" })
+ *        --host   <name>   interface     (default: 127.0.0.1)
+ *        --no-watch        serve only: no rebuilds, no live reload
+ */
+
+import fs   from "node:fs/promises";
+import fsc  from "node:fs";
+import path from "node:path";
+import http from "node:http";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { argv, execPath, exit } from "node:process";
+import { colour, isDir } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+import { readIndex, searchIcons } from "./lib/search.js";
+
+const config = await loadConfig();
+
+const GENERATOR = path.join(path.dirname(fileURLToPath(import.meta.url)), "generate-helper-pages.js");
+
+/* ── CLI ── */
+function cliCfg() {
+  const cfg = {
+    source: config.paths.icons,
+    dest:   config.paths.helper,
+    host:   config.serve.host,
+    port:   config.serve.port,
+    watch:  true,
+  };
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-s":
+      case "--source":   cfg.source = argv[++i]; break;
+      case "-d":
+      case "--dest":     cfg.dest   = argv[++i]; break;
+      case "-p":
+      case "--port":     cfg.port   = argv[++i]; break;
+      case "--host":     cfg.host   = argv[++i]; break;
+      case "--no-watch": cfg.watch  = false;     break;
+      default: console.error(`Unknown argument: ${argv[i]}`); exit(1);
+    }
+  }
+  cfg.port = Number(cfg.port);
+  if (!Number.isInteger(cfg.port) || cfg.port < 0 || cfg.port > 65535) { console.error(`Invalid port: ${cfg.port}`); exit(1); }
+  cfg.source = path.resolve(cfg.source);
+  cfg.dest   = path.resolve(cfg.dest);
+  return cfg;
+}
+const cfg = cliCfg();
+
+/* ── helpers ── */
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js":   "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".css":  "text/css; charset=utf-8",
+  ".svg":  "image/svg+xml",
+  ".png":  "image/png",
+  ".webp": "image/webp",
+};
+
+const LIVE_RELOAD = '<script>new EventSource("/__live").addEventListener("reload", () => location.reload());</script>';
+
+const API_LIMIT = 50;
+
+let entries = [];                                    // the helper's records, reloaded after every build
+const clients = new Set();                           // open live-reload streams
+
+const time = () => new Date().toLocaleTimeString();
+
+/* run generate-helper-pages.js, for some categories or (null) all of them */
+function build(categories) {
+  const args = [GENERATOR, "-s", cfg.source, "-d", cfg.dest, ...(categories ? ["--categories", categories.join(",")] : [])];
+  return new Promise((resolve, reject) => {
+    const child = spawn(execPath, args, { stdio: ["ignore", "ignore", "inherit"] });
+    child.on("error", reject);
+    child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(`helper build failed (exit ${code})`))));
+  });
+}
+
+async function refresh(categories) {
+  const started = Date.now();
+  await build(categories);
+  entries = (await readIndex(cfg.dest)) ?? [];
+  console.log(colour("green",
+    `[${time()}] Rebuilt ${categories ? categories.join(", ") : "everything"} in ${Date.now() - started} ms`));
+  for (const res of clients) res.write(`event: reload\ndata: ${JSON.stringify({ categories })}\n\n`);
+}
+
+/* ── watching ── */
+
+/* batches changes; a change outside a category folder (or an unknown one) rebuilds everything */
+function watch() {
+  let pending = new Set();
+  let full    = false;
+  let timer   = null;
+  let running = null;
+
+  const flush = async () => {
+    if (running) return;
+    const categories = full ? null : [...pending].sort();
+    pending = new Set();
+    full    = false;
+    running = refresh(categories)
+      .catch((err) => console.error(colour("red", `[${time()}] ${err.message}`)))
+      .finally(() => { running = null; if (full || pending.size) flush(); });
+  };
+
+  const changed = (name) => {
+    const parts = name ? name.split(path.sep) : [];
+    if (parts.length > 1) pending.add(parts[0]);
+    else full = true;
+    clearTimeout(timer);
+    timer = setTimeout(flush, 200);
+  };
+
+  let watcher = null;
+  const start = () => {
+    watcher?.close();
+    watcher = isDir(cfg.source) ? fsc.watch(cfg.source, { recursive: true }, (_, name) => changed(name)) : null;
+  };
+  start();
+
+  /* `aws-icons update` swaps the whole folder; follow the new one */
+  fsc.watch(path.dirname(cfg.source), (_, name) => {
+    if (name !== path.basename(cfg.source)) return;
+    start();
+    changed(null);
+  });
+}
+
+/* ── API ── */
+const send = (res, status, body, type = MIME[".json"]) => {
+  res.writeHead(status, { "Content-Type": type, "Cache-Control": "no-store", "Access-Control-Allow-Origin": "*" });
+  res.end(type === MIME[".json"] ? `${JSON.stringify(body, null, 2)}\n` : body);
+};
+
+/* a record as the API returns it: no search keywords, plus the URL of its SVG */
+function record(e) {
+  const out = { ...e, svg: `/api/icons/${e.id.split("/").map(encodeURIComponent).join("/")}.svg` };
+  delete out.keywords;
+  return out;
+}
+
+/* width / height for a requested pixel size, keeping the viewBox's aspect ratio */
+function resize(svg, px) {
+  return svg.replace(/<svg\b[^>]*>/i, (tag) => {
+    const box = tag.match(/\sviewBox="([^"]*)"/)?.[1].trim().split(/[\s,]+/).map(Number) ?? [];
+    const h   = box[2] > 0 && box[3] > 0 ? Math.round((px * box[3]) / box[2]) : px;
+    return tag.replace(/\s(?:width|height)="[^"]*"/g, "").replace(/^<svg\b/i, `<svg width="${px}" height="${h}"`);
+  });
+}
+
+async function api(res, route, params) {
+  if (route === "categories") {
+    const counts = {};
+    for (const e of entries) counts[e.category] = (counts[e.category] ?? 0) + 1;
+    return send(res, 200, Object.entries(counts).map(([name, icons]) => ({ name, icons })));
+  }
+
+  if (route === "icons") {
+    const limit = Math.min(Number(params.get("limit")) || API_LIMIT, 1000);
+    const hits  = searchIcons(entries, Object.fromEntries(params));
+    return send(res, 200, { total: hits.length, icons: hits.slice(0, limit).map(record) });
+  }
+
+  const m = route.match(/^icons\/(.+?)(\.svg)?$/);
+  const entry = m && entries.find((e) => e.id === m[1]);
+  if (!entry) return send(res, 404, { error: `No icon "${m?.[1] ?? route}"` });
+  if (!m[2]) return send(res, 200, record(entry));
+
+  const size = params.get("size");
+  if (size !== null && !(Number.isInteger(Number(size)) && Number(size) > 0 && Number(size) <= 4096))
+    return send(res, 400, { error: `Invalid size "${size}" (1-4096)` });
+  const svg = await fs.readFile(path.join(cfg.source, entry.path), "utf8");
+  return send(res, 200, size ? resize(svg, Number(size)) : svg, MIME[".svg"]);
+}
+
+/* ── static files ── */
+async function file(res, pathname) {
+  const fp = path.join(cfg.dest, path.normalize(pathname).replace(/^(\.\.[/\\])+/, ""));
+  if (!fp.startsWith(cfg.dest)) return send(res, 403, "Forbidden", "text/plain");
+
+  let target = fp;
+  if (isDir(target)) target = path.join(target, "index.html");
+  if (!fsc.existsSync(target)) return send(res, 404, `Not found: ${pathname}`, "text/plain");
+
+  const type = MIME[path.extname(target).toLowerCase()] ?? "application/octet-stream";
+  let body = await fs.readFile(target);
+  if (cfg.watch && path.extname(target) === ".html") body = body.toString("utf8").replace(/<\/body>/i, `${LIVE_RELOAD}</body>`);
+  res.writeHead(200, { "Content-Type": type, "Cache-Control": "no-store" });
+  res.end(body);
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch {
+    return send(res, 400, { error: "Malformed URL" });
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") return send(res, 405, { error: "Only GET is supported" });
+
+  if (pathname === "/__live") {
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-store", Connection: "keep-alive" });
+    res.write(": connected\n\n");
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+    return;
+  }
+  if (pathname.startsWith("/api/")) return api(res, pathname.slice("/api/".length).replace(/\/+$/, ""), url.searchParams);
+  return file(res, pathname);
+}
+
+/* ── main ── */
+(async () => {
+  try {
+    if (!isDir(cfg.source)) { console.error(colour("red", `No source: ${cfg.source}`)); exit(1); }
+
+    if (!fsc.existsSync(path.join(cfg.dest, "search-index.js"))) {
+      console.log(colour("cyan", `Building the helper in ${cfg.dest}…`));
+      await build(null);
+    }
+    entries = (await readIndex(cfg.dest)) ?? [];
+
+    const server = http.createServer((req, res) => {
+      handle(req, res).catch((err) => {
+        console.error(colour("red", err.stack || err.message));
+        if (!res.headersSent) send(res, 500, { error: err.message });
+        else res.end();
+      });
+    });
+    server.on("error", (err) => {
+      console.error(colour("red", err.code === "EADDRINUSE" ? `Port ${cfg.port} is already in use (try --port)` : err.message));
+      exit(1);
+    });
+    server.listen(cfg.port, cfg.host, () => {
+      const { port } = server.address();
+      console.log(colour("cyan", `Source : ${cfg.source}`));
+      console.log(colour("cyan", `Site   : ${cfg.dest}`));
+      console.log(colour("green", `\nServing the helper on http://${cfg.host}:${port}/ (${entries.length} icons)`));
+      console.log(`API    : http://${cfg.host}:${port}/api/icons?q=lambda`);
+      console.log(cfg.watch ? "Watching for changes; press Ctrl+C to stop." : "Not watching (--no-watch); press Ctrl+C to stop.");
+    });
+
+    if (cfg.watch) watch();
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
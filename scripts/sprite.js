@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * sprite.js
+ *
+ * Packs the icon library into <symbol>-based sprite sheets under ./aws-icons-sprites:
+ *   • one <Category>.svg per top-level folder found in ./aws-icons
+ *   • aws-icons.svg with every icon in one file
+ *
+ * Symbol ids are the cleaned filenames (reference them with <use href="Analytics.svg#Athena">).
+ * Internal ids such as "Rectangle" are prefixed with the symbol id, and every
+ * url(#…) / href="#…" reference follows, so nothing collides inside one sheet.
+ *
+ * Symbols keep the icon's <title> and <desc> (ids scoped like the rest), so a
+ * page that inlines the sheet can point aria-labelledby at them.
+ * --decorative (or "a11y": { "decorative": true }) leaves them out, for sheets
+ * only ever used as <svg aria-hidden="true"><use …/></svg>.
+ *
+ * Options:
+ *   -s | --source <dir>   icon root   (default: ./aws-icons)
+ *   -d | --dest   <dir>   output dir  (default: ./aws-icons-sprites)
+ *        --decorative     no <title> / <desc> in the symbols
+ *        --dry-run        preview only, no writes
+ */
+
+import fs   from "node:fs/promises";
+import path from "node:path";
+import { argv, exit } from "node:process";
+import { colour, ensure, isDir, safeId, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function cliCfg() {
+  const cfg = { source: config.paths.icons, dest: config.paths.sprites, decorative: config.a11y.decorative, dryRun: false };
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-s":
+      case "--source": cfg.source = argv[++i]; break;
+      case "-d":
+      case "--dest":   cfg.dest   = argv[++i]; break;
+      case "--decorative": cfg.decorative = true; break;
+      case "--dry-run": cfg.dryRun = true;      break;
+      default: console.error(`Unknown argument: ${argv[i]}`); exit(1);
+    }
+  }
+  cfg.source = path.resolve(cfg.source);
+  cfg.dest   = path.resolve(cfg.dest);
+  return cfg;
+}
+const cfg = cliCfg();
+
+/* ── helpers ── */
+const stripXml = (s) =>
+  s.replace(/<\?xml[\s\S]*?\?>/i, "").replace(/<!DOCTYPE[\s\S]*?>/i, "").trim();
+
+/* prefix every internal id with the symbol id and rewrite references to it */
+function scopeIds(body, prefix) {
+  const ids   = new Set([...body.matchAll(/\sid="([^"]+)"/g)].map((m) => m[1]));
+  const scope = (id) => (ids.has(id) ? `${prefix}-${safeId(id)}` : id);
+  return body
+    .replace(/(\sid=")([^"]+)"/g, (_, a, id) => `${a}${scope(id)}"`)
+    .replace(/url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g, (_, q, id) => `url(#${scope(id)})`)
+    .replace(/((?:xlink:)?href=")#([^"]+)"/g, (_, a, id) => `${a}#${scope(id)}"`);
+}
+
+function toSymbol(svg, id) {
+  const m = stripXml(svg).match(/^<svg\b([^>]*)>([\s\S]*)<\/svg>$/i);
+  if (!m) return null;
+
+  const attr = (k) => m[1].match(new RegExp(`\\s${k}="([^"]*)"`))?.[1];
+  const viewBox = attr("viewBox") ??
+    `0 0 ${Number.parseFloat(attr("width") ?? 0)} ${Number.parseFloat(attr("height") ?? 0)}`;
+
+  const text = cfg.decorative ? m[2].replace(/\s*<(title|desc)\b[^>]*>[\s\S]*?<\/\1>/gi, "") : m[2];
+  const body = scopeIds(text.trim(), id);
+  return `<symbol id="${id}" viewBox="${viewBox}">\n    ${body}\n</symbol>`;
+}
+
+const sheet = (symbols) => {
+  const xlink = symbols.some((s) => s.includes("xlink:"))
+    ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : "";
+  return `<svg xmlns="http://www.w3.org/2000/svg"${xlink}>\n${symbols.join("\n")}\n</svg>\n`;
+};
+
+/* ── main build ── */
+(async () => {
+  try {
+    if (!isDir(cfg.source)) { console.error(colour("red", `No source: ${cfg.source}`)); exit(1); }
+
+    if (!cfg.dryRun) { await fs.rm(cfg.dest, { recursive: true, force: true }); await ensure(cfg.dest); }
+
+    const categories = (await fs.readdir(cfg.source, { withFileTypes: true }))
+      .filter((d) => d.isDirectory())
+      .map((d) => d.name)
+      .sort();
+
+    console.log(colour("cyan", `Categories found: ${categories.length}`));
+
+    const all   = [];
+    const taken = new Set();
+
+    for (const cat of categories) {
+      const symbols = [];
+      const local   = new Set();
+
+      for await (const svgPath of walk(path.join(cfg.source, cat))) {
+        const name = safeId(path.basename(svgPath, path.extname(svgPath)));
+        const svg  = await fs.readFile(svgPath, "utf8");
+        const rel  = path.relative(cfg.source, svgPath);
+
+        if (local.has(name)) {
+          console.warn(colour("yellow", `Warning: duplicate symbol id "${name}", skipping ${rel}`));
+          continue;
+        }
+        const symbol = toSymbol(svg, name);
+        if (!symbol) { console.warn(colour("yellow", `Warning: no <svg> root, skipping ${rel}`)); continue; }
+        local.add(name);
+        symbols.push(symbol);
+
+        /* the combined sheet falls back to "<Category>-<name>" when a name repeats */
+        const globalId = taken.has(name) ? safeId(`${cat}-${name}`) : name;
+        taken.add(globalId);
+        all.push(globalId === name ? symbol : toSymbol(svg, globalId));
+      }
+      if (!symbols.length) continue;
+
+      if (!cfg.dryRun) await fs.writeFile(path.join(cfg.dest, `${cat}.svg`), sheet(symbols), "utf8");
+      console.log(colour("green", `Built ${cat}.svg (${symbols.length} symbols)`));
+    }
+
+    if (!cfg.dryRun) await fs.writeFile(path.join(cfg.dest, "aws-icons.svg"), sheet(all), "utf8");
+
+    console.log(colour("green", `Built aws-icons.svg (${all.length} symbols)`));
+    console.log(colour("green", `Sprite sheets ready${cfg.dryRun ? " [DRY-RUN]" : ""}.`));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
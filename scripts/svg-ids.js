@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Makes the internal ids of every SVG below a root directory unique across
+ * the library, so icons can be inlined side by side without "Rectangle" or
+ * "Icon-Architecture/48/…" clashing in one DOM.
+ *
+ * Each id gets a per-icon prefix derived from the file's path
+ * (Analytics/Athena.svg → "Analytics-Athena__Rectangle"), and every
+ * reference follows: url(#…), href / xlink:href="#…" and the aria-* id-list
+ * attributes (aria-labelledby, aria-describedby, …). Ids that already carry
+ * the prefix are left alone, so re-runs are no-ops; ids carrying another
+ * prefix (the file has moved since) get this file's prefix instead. An id
+ * used twice in one file is split into "…-2", so validate.js's duplicate-id
+ * check passes on AWS's own package.
+ *
+ * Options:
+ *   -r | --root <dir>   Path to the icon set   (default: ./aws-icons)
+ *        --hash         Short path hash as the prefix ("i3f9a2c1d__Rectangle")
+ *        --dry-run      Preview changes only   (no writes)
+ */
+
+import fs     from "node:fs/promises";
+import path   from "node:path";
+import crypto from "node:crypto";
+import { argv, exit } from "node:process";
+import { colour, requireDir, safeId, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function parseArgs() {
+  const opts = { root: config.paths.icons, hash: false, dryRun: false };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-r":
+      case "--root":
+        opts.root = argv[++i];
+        break;
+      case "--hash":
+        opts.hash = true;
+        break;
+      case "--dry-run":
+        opts.dryRun = true;
+        break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        exit(1);
+    }
+  }
+
+  opts.root = requireDir(opts.root, "Root directory");
+  return opts;
+}
+
+const cfg = parseArgs();
+
+/* ── helpers ── */
+/* per-icon prefix: readable path slug, or a short hash of it with --hash */
+function prefixFor(rel) {
+  const key = rel.split(path.sep).join("/").replace(/\.svg$/i, "");
+  if (cfg.hash) return `i${crypto.createHash("sha1").update(key).digest("hex").slice(0, 8)}`;
+  return safeId(key.replace(/\//g, "-"));
+}
+
+/* a prefix from an earlier run, under the file's old path: "Analytics-Athena__" */
+const OLD_PREFIX = /^[\w-]+?__/;
+
+/* aria-* attributes that hold id lists; the rest (aria-label, …) are free text */
+const ARIA_IDREFS = /(\saria-(?:labelledby|describedby|controls|owns|activedescendant|flowto|details|errormessage)=)(["'])(.*?)\2/g;
+
+/* an id attribute, in either quote style */
+const ID_ATTR = /(\sid=)(["'])(.*?)\2/g;
+
+/*
+ * rewrite ids and every reference to them; returns the input when nothing
+ * changes. An id the source repeats (AWS's own files do) gets "-2", "-3"… on
+ * each repeat, and references keep pointing at the first element, as a
+ * browser resolves them.
+ */
+function scopeIds(data, prefix) {
+  const own = `${prefix}__`;
+  const ids = [...data.matchAll(ID_ATTR)].map((m) => m[3]);
+  const map = new Map();
+  const used = new Set(ids.filter((id) => id.startsWith(own)));
+  const fresh = (id) => {
+    const base = safeId(id.replace(OLD_PREFIX, ""));
+    let next = `${own}${base}`;
+    for (let n = 2; used.has(next); n += 1) next = `${own}${base}-${n}`;
+    used.add(next);
+    return next;
+  };
+  const renamed = ids.map((id) => {
+    if (map.has(id)) return fresh(id);                          // a repeat
+    map.set(id, id.startsWith(own) ? id : fresh(id));
+    return map.get(id);
+  });
+  if (renamed.every((id, i) => id === ids[i])) return data;
+
+  const scope = (id) => map.get(id) ?? id;
+  let i = 0;
+  return data
+    .replace(ID_ATTR, (_, a, q) => `${a}${q}${renamed[i++]}${q}`)
+    .replace(/url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g, (_, q, id) => `url(#${scope(id)})`)
+    .replace(/(\s(?:xlink:)?href=)(["'])#(.*?)\2/g, (_, a, q, id) => `${a}${q}#${scope(id)}${q}`)
+    .replace(ARIA_IDREFS, (_, a, q, list) =>
+      `${a}${q}${list.split(/(\s+)/).map((t) => (map.has(t) ? map.get(t) : t)).join("")}${q}`);
+}
+
+/* ── core ── */
+async function processSvg(fp) {
+  const data    = await fs.readFile(fp, "utf8");
+  const rel     = path.relative(cfg.root, fp);
+  const updated = scopeIds(data, prefixFor(rel));
+  if (updated === data) return 0;                   // already scoped / no ids
+
+  if (cfg.dryRun) {
+    console.log(colour("cyan", `DRY  ${rel}`));
+  } else {
+    await fs.writeFile(fp, updated, "utf8");
+    console.log(colour("green", `Scoped ${rel}`));
+  }
+  return 1;
+}
+
+/* ── runner ── */
+(async () => {
+  try {
+    console.log(colour("cyan", `Root : ${cfg.root}`));
+    console.log(colour("cyan", `Mode : ${cfg.dryRun ? "DRY-RUN" : "LIVE"}`));
+    console.log("");
+
+    const tasks = [];
+    for await (const svg of walk(cfg.root)) tasks.push(processSvg(svg));
+    const changed = (await Promise.all(tasks)).reduce((a, b) => a + b, 0);
+
+    console.log(colour("green", `\nId scoping pass complete (${changed} of ${tasks.length} files changed).`));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Parses every SVG below a root directory, runs an ordered list of transform
+ * steps over the tree and serialises it back in one deterministic layout.
+ * Replaces the old regex-only svg-title.js; its title rules live on as the
+ * "title" step and still mirror rename.js so titles and filenames stay aligned.
+ *
+ * Steps (run in this order, each one switchable):
+ *   title      clean the <title> text (prefixes, size suffixes); add one if missing
+ *   a11y       role="img", aria-labelledby to the <title>, aria-describedby to a <desc>
+ *              (from --descriptions); icons marked aria-hidden="true" stay decorative
+ *   metadata   drop XML prolog, comments, <metadata>, version="1.1", unused xmlns:xlink, unreferenced ids
+ *              (AWS's "Icon-Architecture/…" / "Icon-Resource/…" group ids stay: they tell the icon's kind)
+ *   groups     remove empty <g> and unwrap <g> elements left without attributes
+ *   numbers    round coordinates and lengths to --precision decimals
+ *   attrs      write attributes in one consistent order
+ *
+ * Options:
+ *   -r | --root <dir>        Path to the icon set        (default: ./aws-icons)
+ *        --only <a,b>        Run just these steps
+ *        --skip <a,b>        Run every step except these
+ *        --precision <n>     Decimals kept by "numbers"  (default: 3)
+ *        --descriptions <f>  JSON map of icon / service name -> one-line <desc>
+ *                            (default: "a11y": { "descriptions" } in the config)
+ *        --dry-run           Preview changes only        (no writes)
+ */
+
+import fs      from "node:fs/promises";
+import fsc     from "node:fs";
+import path    from "node:path";
+import { Buffer } from "node:buffer";
+import { argv, exit } from "node:process";
+import * as cheerio from "cheerio";
+import { colour, posix, requireDir, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+import { cleanTitle, stripAws } from "./lib/naming.js";
+
+const config = await loadConfig();
+
+/* ── steps ── */
+
+const elements = (node) => (node.children ?? []).filter((c) => c.type === "tag");
+
+function* descendants(node) {
+  for (const c of elements(node)) { yield c; yield* descendants(c); }
+}
+
+const $text = (el) => (el.children ?? []).map((c) => c.data ?? "").join("");
+
+const detach = (node) => {
+  const list = node.parent.children;
+  list.splice(list.indexOf(node), 1);
+};
+
+/* AWS's group ids ("Icon-Architecture/48/Arch_…", "Icon-Resource/…"), also once svg-ids.js has
+   scoped them ("Compute-Lambda__Icon-Architecture-48-Arch_…"); guessKind() reads the kind from them */
+const AWS_GROUP_ID = /^(?:[\w-]+?__)?Icon-(?:Architecture|Resource)[/-]/;
+
+/* ids referenced through url(#…), href="#…" or aria-* lists */
+function referencedIds(svg) {
+  const refs = new Set();
+  for (const el of [svg, ...descendants(svg)]) {
+    for (const [k, v] of Object.entries(el.attribs)) {
+      for (const m of v.matchAll(/url\(\s*['"]?#([^'")\s]+)/g)) refs.add(m[1]);
+      if (/^(?:xlink:)?href$/.test(k) && v.startsWith("#")) refs.add(v.slice(1));
+      if (k.startsWith("aria-")) v.split(/\s+/).forEach((t) => refs.add(t));
+    }
+    if (el.name === "style")
+      for (const m of $text(el).matchAll(/url\(\s*['"]?#([^'")\s]+)/g)) refs.add(m[1]);
+  }
+  return refs;
+}
+
+const NUMERIC_ATTRS = new Set([
+  "d", "points", "viewBox", "transform", "x", "y", "x1", "y1", "x2", "y2",
+  "cx", "cy", "r", "rx", "ry", "width", "height", "stroke-width", "offset",
+]);
+
+/* descriptions are looked up by icon path ("Analytics/Athena"), then by service name */
+const descKey = (s) => stripAws(s.trim().replace(/\s+/g, "-")).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+function describe(descriptions, rel, title) {
+  if (!descriptions) return null;
+  const id = posix(rel).replace(/\.svg$/i, "");
+  return descriptions.get(id) ?? descriptions.get(descKey(title)) ?? descriptions.get(descKey(path.posix.basename(id))) ?? null;
+}
+
+const ATTR_ORDER = ["xmlns", "xmlns:xlink", "id", "width", "height", "viewBox", "x", "y"];
+
+const STEPS = [
+  {
+    name: "title",
+    run(svg, { $, file }) {
+      let title = elements(svg).find((c) => c.name === "title");
+      if (!title) {
+        $(svg).prepend("<title></title>");
+        title = elements(svg).find((c) => c.name === "title");
+        $(title).text(path.basename(file, path.extname(file)));
+      }
+      const original = $(title).text().trim();
+      $(title).text(cleanTitle(original));
+    },
+  },
+  {
+    name: "a11y",
+    run(svg, { $, rel, descriptions }) {
+      /* plain "title" / "desc" ids; the ids step makes them unique per icon */
+      const child = (name) => elements(svg).find((c) => c.name === name);
+      if (svg.attribs["aria-hidden"] === "true") {
+        for (const k of ["role", "aria-labelledby", "aria-describedby"]) delete svg.attribs[k];
+        return;
+      }
+
+      const title = child("title");
+      const text  = describe(descriptions, rel, title ? $text(title) : "");
+      let desc = child("desc");
+      if (text) {
+        if (!desc) {
+          if (title) $(title).after("<desc></desc>");
+          else $(svg).prepend("<desc></desc>");
+          desc = child("desc");
+        }
+        $(desc).text(text);
+      }
+
+      svg.attribs.role = "img";
+      if (title) svg.attribs["aria-labelledby"]  = (title.attribs.id ??= "title");
+      if (desc)  svg.attribs["aria-describedby"] = (desc.attribs.id ??= "desc");
+    },
+  },
+  {
+    name: "metadata",
+    run(svg, { root }) {
+      for (const n of [...root.children])
+        if (n.type === "directive" || n.type === "comment") detach(n);
+      for (const el of [svg, ...descendants(svg)]) {
+        for (const c of [...(el.children ?? [])])
+          if (c.type === "comment" || (c.type === "tag" && c.name === "metadata")) detach(c);
+      }
+
+      delete svg.attribs.version;
+      const all = [svg, ...descendants(svg)];
+      const usesXlink = all.some((el) => Object.keys(el.attribs).some((k) => k.startsWith("xlink:")));
+      if (!usesXlink) delete svg.attribs["xmlns:xlink"];
+
+      const refs = referencedIds(svg);
+      for (const el of all)
+        if (el.attribs.id !== undefined && !refs.has(el.attribs.id) && !AWS_GROUP_ID.test(el.attribs.id)) delete el.attribs.id;
+    },
+  },
+  {
+    name: "groups",
+    run(svg) {
+      /* bottom-up so a group emptied by its children is caught too */
+      const groups = [...descendants(svg)].filter((el) => el.name === "g").reverse();
+      for (const g of groups) {
+        if (!elements(g).length) { detach(g); continue; }
+        if (Object.keys(g.attribs).length) continue;
+        const list = g.parent.children;
+        const kids = g.children.filter((c) => c.type !== "text" || c.data.trim());
+        kids.forEach((c) => { c.parent = g.parent; });
+        list.splice(list.indexOf(g), 1, ...kids);
+      }
+    },
+  },
+  {
+    name: "numbers",
+    run(svg, { opts }) {
+      const round = (n) => String(Number(Number(n).toFixed(opts.precision)));
+      for (const el of [svg, ...descendants(svg)])
+        for (const [k, v] of Object.entries(el.attribs))
+          if (NUMERIC_ATTRS.has(k))
+            el.attribs[k] = v.replace(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi, round);
+    },
+  },
+  {
+    name: "attrs",
+    run(svg) {
+      const rank = (k) => {
+        const i = ATTR_ORDER.indexOf(k);
+        return i === -1 ? ATTR_ORDER.length : i;
+      };
+      for (const el of [svg, ...descendants(svg)]) {
+        const keys = Object.keys(el.attribs)
+          .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+        el.attribs = Object.fromEntries(keys.map((k) => [k, el.attribs[k]]));
+      }
+    },
+  },
+];
+
+const STEP_NAMES = STEPS.map((s) => s.name);
+
+/* ── CLI ── */
+function parseArgs() {
+  const opts = {
+    root:      config.paths.icons,
+    steps:     config.optimise.steps ? STEP_NAMES.filter((n) => config.optimise.steps.includes(n)) : [...STEP_NAMES],
+    precision: config.optimise.precision,
+    descriptions: config.a11y.descriptions,
+    dryRun:    false,
+  };
+  const list = (v) => v.split(",").map((x) => x.trim()).filter(Boolean);
+
+  const checkSteps = (names) => {
+    const bad = names.filter((n) => !STEP_NAMES.includes(n));
+    if (bad.length) { console.error(`Unknown step(s): ${bad.join(", ")} (known: ${STEP_NAMES.join(", ")})`); exit(1); }
+    return names;
+  };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-r":
+      case "--root":
+        opts.root = argv[++i];
+        break;
+      case "--only": {
+        const only = checkSteps(list(argv[++i]));
+        opts.steps = STEP_NAMES.filter((n) => only.includes(n));
+        break;
+      }
+      case "--skip": {
+        const skip = checkSteps(list(argv[++i]));
+        opts.steps = opts.steps.filter((n) => !skip.includes(n));
+        break;
+      }
+      case "--precision":
+        opts.precision = Number.parseInt(argv[++i], 10);
+        if (!(opts.precision >= 0)) { console.error("--precision must be a non-negative integer"); exit(1); }
+        break;
+      case "--descriptions":
+        opts.descriptions = path.resolve(argv[++i]);
+        break;
+      case "--dry-run":
+        opts.dryRun = true;
+        break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        exit(1);
+    }
+  }
+
+  opts.root = requireDir(opts.root, "Root directory");
+  return opts;
+}
+
+const cfg = parseArgs();
+
+/* ── helpers ── */
+
+/* { "<icon path or service name>": "<one-line description>" } */
+async function readDescriptions(fp) {
+  if (!fsc.existsSync(fp)) throw new Error(`Descriptions file not found: ${fp}`);
+  const table = JSON.parse(await fs.readFile(fp, "utf8"));
+  if (!table || typeof table !== "object" || Array.isArray(table))
+    throw new Error(`Descriptions file must hold one JSON object: ${fp}`);
+
+  const map = new Map();
+  for (const [k, v] of Object.entries(table)) {
+    if (typeof v !== "string" || !v.trim()) continue;
+    const line = v.replace(/\s+/g, " ").trim();
+    map.set(k.trim().replace(/\.svg$/i, ""), line);
+    if (descKey(k)) map.set(descKey(k), line);
+  }
+  return map;
+}
+
+const escText = (s) => s.replace(/[&<>]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" }[ch]));
+const escAttr = (s) => s.replace(/[&<"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", '"': "&quot;" }[ch]));
+
+/* one element per line, two-space indent, text kept inline */
+function serialise(node, depth = 0) {
+  const pad = "  ".repeat(depth);
+  switch (node.type) {
+    case "directive": return `${pad}<${node.data}>`;
+    case "comment":   return `${pad}<!--${node.data}-->`;
+    case "cdata":     return `${pad}<![CDATA[${$text(node)}]]>`;
+    case "text":      return node.data.trim() ? `${pad}${escText(node.data.trim())}` : null;
+  }
+
+  const attrs = Object.entries(node.attribs).map(([k, v]) => ` ${k}="${escAttr(v)}"`).join("");
+  const kids  = (node.children ?? []).filter((c) => c.type !== "text" || c.data.trim());
+  if (!kids.length) return `${pad}<${node.name}${attrs}/>`;
+  if (kids.every((c) => c.type === "text"))
+    return `${pad}<${node.name}${attrs}>${escText($text(node).trim())}</${node.name}>`;
+
+  const inner = kids.map((c) => serialise(c, depth + 1)).filter(Boolean).join("\n");
+  return `${pad}<${node.name}${attrs}>\n${inner}\n${pad}</${node.name}>`;
+}
+
+/* ── core ── */
+const steps = STEPS.filter((s) => cfg.steps.includes(s.name));
+const saved = {};                                    // category -> { before, after, files }
+
+async function processSvg(fp, descriptions) {
+  const data = await fs.readFile(fp, "utf8");
+  const rel  = path.relative(cfg.root, fp);
+  const $    = cheerio.load(data, { xml: true });
+  const root = $.root()[0];
+  const svg  = elements(root).find((c) => c.name === "svg");
+  if (!svg) {
+    console.warn(colour("yellow", `Warning: no <svg> root, skipping ${rel}`));
+    return;
+  }
+
+  for (const step of steps) step.run(svg, { $, root, file: fp, rel, descriptions, opts: cfg });
+
+  const updated = `${root.children.map((n) => serialise(n)).filter(Boolean).join("\n")}\n`;
+  const cat     = rel.includes(path.sep) ? rel.split(path.sep)[0] : ".";
+  const bucket  = (saved[cat] ??= { before: 0, after: 0, files: 0 });
+  bucket.before += Buffer.byteLength(data);
+  bucket.after  += Buffer.byteLength(updated);
+  if (updated === data) return;                      // already optimised
+  bucket.files  += 1;
+
+  if (cfg.dryRun) console.log(colour("cyan", `DRY  ${rel}`));
+  else await fs.writeFile(fp, updated, "utf8");
+}
+
+const kb = (n) => `${(n / 1024).toFixed(1)} KB`;
+
+/* ── runner ── */
+(async () => {
+  try {
+    console.log(colour("cyan", `Root  : ${cfg.root}`));
+    console.log(colour("cyan", `Mode  : ${cfg.dryRun ? "DRY-RUN" : "LIVE"}`));
+    console.log(colour("cyan", `Steps : ${steps.map((s) => s.name).join(" → ") || "(none)"}`));
+    if (cfg.descriptions) console.log(colour("cyan", `Descr : ${cfg.descriptions}`));
+    console.log("");
+
+    const descriptions = cfg.descriptions && cfg.steps.includes("a11y") ? await readDescriptions(cfg.descriptions) : null;
+
+    const tasks = [];
+    for await (const svg of walk(cfg.root)) tasks.push(processSvg(svg, descriptions));
+    await Promise.all(tasks);
+
+    let before = 0, after = 0;
+    for (const cat of Object.keys(saved).sort()) {
+      const s = saved[cat];
+      before += s.before; after += s.after;
+      const pct = s.before ? ((1 - s.after / s.before) * 100).toFixed(1) : "0.0";
+      console.log(`${cat.padEnd(32)} ${String(s.files).padStart(4)} changed  ${kb(s.before - s.after).padStart(10)} saved (${pct}%)`);
+    }
+
+    const total = before ? ((1 - after / before) * 100).toFixed(1) : "0.0";
+    console.log(colour("green", `\nOptimise pass complete: ${kb(before)} → ${kb(after)} (${total}% smaller).`));
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
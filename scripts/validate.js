@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Checks every SVG in ./aws-icons before it ships and writes a
+ * machine-readable report (./aws-icons-validation.json). Per file:
+ *   well-formed    the markup parses as XML: balanced tags, quoted attributes, one root
+ *   viewBox        the root <svg> has a four-number viewBox with a positive size
+ *   title          a non-empty <title> that svg-optimise.js's title rules leave unchanged
+ *   filename       the filename is what rename.js would make of that title (warning)
+ *   duplicate-id   no id is used twice
+ *   unsafe         <script>, <foreignObject> and other embedding elements, on*
+ *                  event handlers, and href / url() references outside the file
+ *
+ * --strip removes the unsafe content instead of failing on it (recorded as
+ * "stripped" in the report), so the helper's copy actions never hand it out.
+ *
+ * Exits 1 when any error is left (warnings too with --strict), 2 on a crash,
+ * so CI can gate on it.
+ *
+ * Options:
+ *   -r | --root <dir>   Path to the icon set   (default: ./aws-icons)
+ *   -o | --out  <file>  Report destination     (default: ./aws-icons-validation.json)
+ *        --strip        Remove unsafe content  (or "validate": { "strip": true })
+ *        --strict       Fail on warnings too   (or "strict": true)
+ *        --dry-run      Check only, write neither report nor fixes
+ */
+
+import fs   from "node:fs/promises";
+import fsc  from "node:fs";
+import path from "node:path";
+import * as cheerio from "cheerio";
+import { argv, exit } from "node:process";
+import { colour, posix, requireDir, walkSvg as walk } from "./lib/common.js";
+import { loadConfig } from "./lib/config.js";
+import { NAMING, cleanTitle, stripAws } from "./lib/naming.js";
+
+const config = await loadConfig();
+
+/* ── CLI ── */
+function parseArgs() {
+  const opts = {
+    root:   config.paths.icons,
+    out:    config.paths.validation,
+    strip:  config.validate.strip,
+    strict: config.strict,
+    dryRun: false,
+  };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case "-r":
+      case "--root":
+        opts.root = argv[++i];
+        break;
+      case "-o":
+      case "--out":
+        opts.out = argv[++i];
+        break;
+      case "--strip":
+        opts.strip = true;
+        break;
+      case "--strict":
+        opts.strict = true;
+        break;
+      case "--dry-run":
+        opts.dryRun = true;
+        break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        exit(1);
+    }
+  }
+
+  opts.root = requireDir(opts.root, "Root directory");
+  opts.out  = path.resolve(opts.out);
+  return opts;
+}
+
+const cfg = parseArgs();
+
+/* ── helpers ── */
+const readJson = (fp) => (fsc.existsSync(fp) ? JSON.parse(fsc.readFileSync(fp, "utf8")) : null);
+
+/* the strategy the tree was renamed with, so filenames are checked against the right rules */
+const naming = readJson(path.join(cfg.root, "rename-map.json"))?.naming ?? config.naming;
+
+const lineAt = (data, index) => data.slice(0, index).split("\n").length;
+
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+const ATTR  = /\s+([^\s=]+)\s*=\s*("[^"]*"|'[^']*')/y;
+const NAME  = /^[A-Za-z_][\w:.-]*$/;
+
+/* first XML well-formedness error as { message, line }, or null */
+function wellFormed(data) {
+  const stack = [];
+  let roots = 0;
+  let last  = 0;
+
+  const text = (from, to) => {
+    const chunk = data.slice(from, to);
+    const lt    = chunk.indexOf("<");
+    if (lt !== -1) return { message: "unescaped \"<\" or unterminated markup", line: lineAt(data, from + lt) };
+    const amp = chunk.search(/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[\da-fA-F]+);)/);
+    if (amp !== -1) return { message: "unescaped \"&\"", line: lineAt(data, from + amp) };
+    if (!stack.length && chunk.trim()) return { message: "text outside the root element", line: lineAt(data, from) };
+    return null;
+  };
+
+  for (const m of data.matchAll(TOKEN)) {
+    const err = text(last, m.index);
+    if (err) return err;
+    last = m.index + m[0].length;
+    if (m[2] === undefined) continue;                    // comment, CDATA, prolog, doctype
+
+    const [, close, name, attrs, selfClose] = m;
+    const line = lineAt(data, m.index);
+    if (!NAME.test(name)) return { message: `invalid tag name "${name}"`, line };
+
+    if (close) {
+      const open = stack.pop();
+      if (open !== name) return { message: open ? `</${name}> closes <${open}>` : `stray </${name}>`, line };
+      continue;
+    }
+
+    const seen = new Set();
+    let rest = attrs;
+    while (rest.trim()) {
+      ATTR.lastIndex = 0;
+      const a = ATTR.exec(rest);
+      if (!a) return { message: `malformed attributes on <${name}>`, line };
+      if (seen.has(a[1])) return { message: `duplicate attribute "${a[1]}" on <${name}>`, line };
+      seen.add(a[1]);
+      rest = rest.slice(a[0].length);
+    }
+
+    if (!stack.length && (roots += 1) > 1) return { message: "more than one root element", line };
+    if (!selfClose) stack.push(name);
+  }
+
+  const err = text(last, data.length);
+  if (err) return err;
+  if (stack.length) return { message: `<${stack.at(-1)}> is never closed`, line: lineAt(data, data.length) };
+  if (!roots) return { message: "no root element", line: 1 };
+  return null;
+}
+
+/* elements that run script or pull in other documents */
+const UNSAFE_TAGS = new Set(["script", "foreignobject", "iframe", "embed", "object"]);
+
+const external = (v) => !/^\s*#/.test(v);
+const externalUrls = (v) => [...v.matchAll(/url\(\s*['"]?([^'")\s]+)/gi)].map((u) => u[1]).filter(external);
+const dropUrls     = (v) => v.replace(/url\(\s*['"]?(?!#)[^)]*\)/gi, "none");
+
+const unsafeTag = (el) => UNSAFE_TAGS.has(el.name.toLowerCase());
+
+/* descriptions of the unsafe content found (with strip, also removed from the tree) */
+function unsafe($, strip) {
+  const found = [];
+  $("*").each((_, el) => {
+    if ($(el).parents().toArray().some(unsafeTag)) return;   // reported with its ancestor
+    if (unsafeTag(el)) {
+      found.push(`<${el.name}> element`);
+      if (strip) $(el).remove();
+      return;
+    }
+    for (const [k, v] of Object.entries(el.attribs)) {
+      let bad = null;
+      if (/^on/i.test(k)) bad = `event handler ${k} on <${el.name}>`;
+      else if (/^(?:xlink:)?href$/i.test(k) && external(v)) bad = `external ${k}="${v.slice(0, 60)}" on <${el.name}>`;
+      else if (externalUrls(v).length) bad = `external url(${externalUrls(v)[0].slice(0, 60)}) in ${k} on <${el.name}>`;
+      if (!bad) continue;
+      found.push(bad);
+      if (strip && k === "style") $(el).attr(k, dropUrls(v));
+      else if (strip) $(el).removeAttr(k);
+    }
+    if (el.name === "style" && externalUrls($(el).text()).length) {
+      found.push(`external url(${externalUrls($(el).text())[0].slice(0, 60)}) in <style>`);
+      if (strip) $(el).text(dropUrls($(el).text()));
+    }
+  });
+  return found;
+}
+
+/* the base names rename.js could have made from this title: optional size (multi-size builds) and -2, -3… */
+function namePattern(title, multiSize) {
+  const { apply } = NAMING[naming] ?? NAMING.clean;
+  const base = (apply(stripAws(title)) || title).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const size = multiSize ? "(?:[-_]?(?:16|32|48|64))?" : "";
+  return new RegExp(`^${base}${size}(?:[-_]?\\d+)?$`, "i");
+}
+
+/* ── checks ── */
+async function check(fp, multiSize) {
+  const rel    = posix(path.relative(cfg.root, fp));
+  const data   = await fs.readFile(fp, "utf8");
+  const issues = [];
+  const add = (check, severity, message, line) =>
+    issues.push({ check, severity, message, ...(line ? { line } : {}) });
+
+  const bad = wellFormed(data);
+  if (bad) {
+    add("well-formed", "error", bad.message, bad.line);
+    return { rel, issues };                              // the tree below would be a guess
+  }
+
+  const $   = cheerio.load(data, { xml: true });
+  const svg = $.root().children("svg").first();
+  if (!svg.length) {
+    add("well-formed", "error", "root element is not <svg>");
+    return { rel, issues };
+  }
+
+  const box = (svg.attr("viewBox") ?? "").trim().split(/[\s,]+/).map(Number);
+  if (!svg.attr("viewBox")) add("viewBox", "error", "no viewBox on <svg>");
+  else if (box.length !== 4 || box.some(Number.isNaN) || box[2] <= 0 || box[3] <= 0)
+    add("viewBox", "error", `invalid viewBox "${svg.attr("viewBox")}"`);
+
+  const title = svg.children("title").first().text().trim();
+  if (!title) add("title", "error", "no <title> (run the optimise step)");
+  else if (cleanTitle(title) !== title)
+    add("title", "error", `title "${title}" should be "${cleanTitle(title)}" (run the optimise step)`);
+  else {
+    const base = path.basename(rel, path.extname(rel));
+    if (!namePattern(title, multiSize).test(base))
+      add("filename", "warning", `filename "${base}" does not follow from title "${title}" with "${naming}" naming`);
+  }
+
+  const ids = new Map();
+  $("[id]").each((_, el) => ids.set(el.attribs.id, (ids.get(el.attribs.id) ?? 0) + 1));
+  for (const [id, n] of ids) if (n > 1) add("duplicate-id", "error", `id "${id}" is used ${n} times`);
+
+  const found = unsafe($, cfg.strip);
+  for (const message of found) add("unsafe", cfg.strip ? "stripped" : "error", message);
+  if (cfg.strip && found.length && !cfg.dryRun) await fs.writeFile(fp, `${$.xml().replace(/\n[ \t]*(?=\n)/g, "").trim()}\n`, "utf8");
+
+  return { rel, issues };
+}
+
+/* ── runner ── */
+(async () => {
+  try {
+    console.log(colour("cyan", `Root   : ${cfg.root}`));
+    console.log(colour("cyan", `Report : ${cfg.out}`));
+    console.log(colour("cyan", `Mode   : ${cfg.dryRun ? "DRY-RUN" : "LIVE"}${cfg.strip ? ", stripping unsafe content" : ""}`));
+    console.log("");
+
+    const origins   = readJson(path.join(cfg.root, "origins.json")) ?? {};
+    const multiSize = new Set(Object.values(origins).filter((o) => o.size && !o.fallback).map((o) => o.size)).size > 1;
+
+    const results = [];
+    for await (const fp of walk(cfg.root)) results.push(await check(fp, multiSize));
+
+    const files  = Object.fromEntries(results.filter((r) => r.issues.length).map((r) => [r.rel, r.issues]));
+    const all    = results.flatMap((r) => r.issues);
+    const count  = (sev) => all.filter((i) => i.severity === sev).length;
+    const totals = { errors: count("error"), warnings: count("warning"), stripped: count("stripped") };
+    const failed = totals.errors > 0 || (cfg.strict && totals.warnings > 0);
+
+    for (const [rel, issues] of Object.entries(files))
+      for (const i of issues) {
+        const tint = { error: "red", warning: "yellow", stripped: "cyan" }[i.severity];
+        console.log(`${colour(tint, i.severity.padEnd(8))} ${rel}${i.line ? `:${i.line}` : ""}  [${i.check}] ${i.message}`);
+      }
+
+    const report = { root: cfg.root, checked: results.length, passed: !failed, ...totals, files };
+    if (!cfg.dryRun) await fs.writeFile(cfg.out, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+
+    const summary = `${results.length} icons checked: ${totals.errors} error(s), ${totals.warnings} warning(s)` +
+                    (totals.stripped ? `, ${totals.stripped} unsafe item(s) stripped` : "");
+    console.log(colour(failed ? "red" : "green", `\n${failed ? "Validation failed" : "Validation passed"} – ${summary}.`));
+    if (failed) exit(1);
+  } catch (err) {
+    console.error(colour("red", err.stack || err.message));
+    exit(2);
+  }
+})();
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs   from "node:fs/promises";
+import os   from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { execPath } from "node:process";
+
+const SCRIPTS = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "scripts");
+
+const ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64" role="img" aria-labelledby="title">
+  <title id="title">Amazon-Athena</title>
+  <defs><linearGradient id="Gradient"><stop offset="0" stop-color="#8C4FFF"/></linearGradient></defs>
+  <g id="Icon-Architecture/48/Arch_Amazon-Athena_48" fill="url(#Gradient)"><rect width="64" height="64"/></g>
+</svg>
+`;
+
+/* run one pipeline script inside dir; fails the test on a non-zero exit */
+function run(dir, script, ...args) {
+  const res = spawnSync(execPath, [path.join(SCRIPTS, script), ...args], { cwd: dir, encoding: "utf8" });
+  assert.equal(res.status, 0, `${script} failed:\n${res.stdout}${res.stderr}`);
+}
+
+test("changelog reports a moved icon with re-scoped ids as renamed", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "aws-icons-changelog-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const icons = path.join(dir, "aws-icons");
+  await fs.mkdir(path.join(icons, "Analytics"), { recursive: true });
+  await fs.writeFile(path.join(icons, "Analytics", "Athena.svg"), ICON);
+  run(dir, "svg-ids.js");
+  run(dir, "changelog.js");                                      // records the baseline
+
+  await fs.rename(path.join(icons, "Analytics", "Athena.svg"), path.join(icons, "Analytics", "Athena3.svg"));
+  run(dir, "svg-ids.js");
+  const moved = await fs.readFile(path.join(icons, "Analytics", "Athena3.svg"), "utf8");
+  assert.match(moved, /aria-labelledby="Analytics-Athena3__title"/);
+
+  run(dir, "changelog.js");
+  const log = JSON.parse(await fs.readFile(path.join(dir, "aws-icons-changelog", "changelog.json"), "utf8"));
+  assert.deepEqual(log.totals, { added: 0, removed: 0, renamed: 1, modified: 0 });
+  assert.deepEqual(log.categories.Analytics.renamed, [{ from: "Analytics/Athena.svg", to: "Analytics/Athena3.svg" }]);
+});
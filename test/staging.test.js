@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs   from "node:fs/promises";
+import os   from "node:os";
+import path from "node:path";
+import { commitStaging, previewStaging, rollback } from "../scripts/lib/staging.js";
+
+/* two outputs sharing a basename in different folders, each with a live and a staged version */
+async function fixture(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "aws-icons-staging-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const live   = { icons: path.join(dir, "a", "out"), sprites: path.join(dir, "b", "out") };
+  const root   = path.join(dir, "staging");
+  const staged = { icons: path.join(root, "icons"), sprites: path.join(root, "sprites") };
+  for (const key of Object.keys(live)) {
+    await fs.mkdir(live[key], { recursive: true });
+    await fs.writeFile(path.join(live[key], "v.txt"), `old ${key}`);
+    await fs.mkdir(staged[key], { recursive: true });
+    await fs.writeFile(path.join(staged[key], "v.txt"), `new ${key}`);
+  }
+
+  const config  = { paths: { previous: path.join(dir, "previous") } };
+  const staging = { root, live, staged, touched: ["icons", "sprites"] };
+  return { dir, config, staging };
+}
+
+const read = (dir) => fs.readFile(path.join(dir, "v.txt"), "utf8");
+
+test("commit and rollback keep outputs that share a basename apart", async (t) => {
+  const { config, staging } = await fixture(t);
+
+  await commitStaging(config, staging);
+  assert.equal(await read(staging.live.icons), "new icons");
+  assert.equal(await read(staging.live.sprites), "new sprites");
+
+  await rollback(config);
+  assert.equal(await read(staging.live.icons), "old icons");
+  assert.equal(await read(staging.live.sprites), "old sprites");
+});
+
+test("a commit failing halfway puts back what it already swapped", async (t) => {
+  const { dir, config, staging } = await fixture(t);
+  await fs.mkdir(config.paths.previous, { recursive: true });
+  await fs.writeFile(path.join(config.paths.previous, "build.json"), "{\"outputs\":{}}\n");
+
+  /* the second output's folder can't be created: its parent is a file */
+  await fs.writeFile(path.join(dir, "blocker"), "");
+  await fs.rm(staging.live.sprites, { recursive: true });
+  staging.live.sprites = path.join(dir, "blocker", "out");
+
+  await assert.rejects(commitStaging(config, staging));
+  assert.equal(await read(staging.live.icons), "old icons");
+  assert.equal(await read(staging.staged.icons), "new icons");
+  assert.equal(await fs.readFile(path.join(config.paths.previous, "build.json"), "utf8"), "{\"outputs\":{}}\n");
+});
+
+test("preview compares a single-file output with its differently named live copy", async (t) => {
+  const { dir, staging } = await fixture(t);
+  staging.live.manifest   = path.join(dir, "icons.json");
+  staging.staged.manifest = path.join(staging.root, "manifest.json");
+  staging.touched.push("manifest");
+  await fs.writeFile(staging.live.manifest, "[]\n");
+  await fs.writeFile(staging.staged.manifest, "[{}]\n");
+  await fs.writeFile(path.join(staging.staged.icons, "w.txt"), "added");
+
+  const report = await previewStaging(staging);
+  assert.deepEqual(report.manifest, { path: staging.live.manifest, added: 0, removed: 0, changed: 1 });
+  assert.deepEqual(report.icons, { path: staging.live.icons, added: 1, removed: 0, changed: 1 });
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs   from "node:fs/promises";
+import os   from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { execPath } from "node:process";
+
+const SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "scripts", "svg-ids.js");
+
+/* the shape of AWS's Storage/Snowball-Edge.svg: one group id used twice */
+const ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">
+  <defs><linearGradient id="Gradient"><stop offset="0" stop-color="#7AA116"/></linearGradient></defs>
+  <g id="Icon-Architecture-BG/48/Storage" fill="url(#Gradient)"><rect width="64" height="64"/></g>
+  <g id="Icon-Architecture-BG/48/Storage"><rect width="32" height="32"/></g>
+  <use href="#Icon-Architecture-BG/48/Storage"/>
+</svg>
+`;
+
+function run(dir) {
+  const res = spawnSync(execPath, [SCRIPT], { cwd: dir, encoding: "utf8" });
+  assert.equal(res.status, 0, `svg-ids.js failed:\n${res.stdout}${res.stderr}`);
+}
+
+test("repeated ids are split and references follow the first", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "aws-icons-ids-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const fp = path.join(dir, "aws-icons", "Storage", "Snowball-Edge.svg");
+  await fs.mkdir(path.dirname(fp), { recursive: true });
+  await fs.writeFile(fp, ICON);
+  run(dir);
+
+  const out = await fs.readFile(fp, "utf8");
+  assert.deepEqual([...out.matchAll(/\sid="([^"]+)"/g)].map((m) => m[1]), [
+    "Storage-Snowball-Edge__Gradient",
+    "Storage-Snowball-Edge__Icon-Architecture-BG-48-Storage",
+    "Storage-Snowball-Edge__Icon-Architecture-BG-48-Storage-2",
+  ]);
+  assert.match(out, /href="#Storage-Snowball-Edge__Icon-Architecture-BG-48-Storage"/);
+  assert.match(out, /fill="url\(#Storage-Snowball-Edge__Gradient\)"/);
+
+  run(dir);                                                      // re-runs are no-ops
+  assert.equal(await fs.readFile(fp, "utf8"), out);
+});